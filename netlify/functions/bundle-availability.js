@@ -0,0 +1,138 @@
+// netlify/functions/bundle-availability.js
+const { getStore } = require('../lib/kv-store')
+const { checkInventoryLevels, isPreorderMode } = require('../lib/stock')
+const { getCountedLocations } = require('../lib/locations')
+const { getProductCombinations } = require('../lib/product-mapping')
+const { getBundleDefinition } = require('../lib/bundle-definitions')
+const { getTranslator } = require('../lib/translations')
+const { withShopRequest } = require('../lib/shop-request')
+const { jsonResponse } = require('../lib/responses')
+const { logger, withRequestLogging, addRequestFields } = require('../lib/logger')
+
+// Short cache, the matrix only drives which options the configurator greys out
+const AVAILABILITY_CACHE_TTL_SECONDS = Number(process.env.AVAILABILITY_CACHE_TTL_SECONDS) || 60
+
+// Stock status of every option combination of every component product in a bundle
+// GET ?bundleProductId=123&countryCode=DE&preorder=true&locale=de (omit bundleProductId for the default bundle)
+// Query: netlify/schemas/bundle-availability.json, response: netlify/schemas/response.v1.json
+exports.handler = withRequestLogging('bundle-availability', withShopRequest(async ({ event, params, shop, internal, headers, stores }) => {
+    const { bundleProductId, countryCode, preorder, locale } = params
+    const stockOptions = {
+        countryCode,
+        preorder: isPreorderMode(preorder === undefined ? undefined : preorder === 'true')
+    }
+
+    // Shopify Admin API credentials
+    const shopifyAccessToken = shop.accessToken
+    const shopifyShopDomain = shop.shopDomain
+    const availabilityStore = getStore('availability', event)
+
+    const cacheKey = `${shopifyShopDomain}/${bundleProductId || 'default'}/${countryCode || 'all'}/${stockOptions.preorder ? 'preorder' : 'stock'}`
+    let matrix = await getCachedMatrix(availabilityStore, cacheKey)
+
+    addRequestFields({ cacheKey, cached: Boolean(matrix) })
+
+    if (!matrix) {
+        const bundleDefinition = await getBundleDefinition(bundleProductId, shopifyShopDomain, shopifyAccessToken, stores.bundleDefinitions)
+        matrix = await buildAvailabilityMatrix(bundleDefinition, shopifyShopDomain, shopifyAccessToken, stores, stockOptions)
+
+        try {
+            await availabilityStore.set(cacheKey, matrix)
+        } catch (error) {
+            logger.warn('Failed to cache availability matrix', { cacheKey, error })
+        }
+    }
+
+    // Labels are added after caching, one cached matrix serves every locale
+    if (locale) {
+        matrix = localizeMatrix(matrix, getTranslator(locale))
+    }
+
+    // The matrix only carries statuses, internal callers additionally see which locations were counted
+    const { countedLocations, ...availability } = matrix
+
+    return jsonResponse(200, {
+        ...headers,
+        'Cache-Control': internal ? 'private, no-store' : `public, max-age=${AVAILABILITY_CACHE_TTL_SECONDS}`
+    }, {
+        ...availability,
+        debug: internal ? { countedLocations } : undefined
+    })
+}, { methods: ['GET'], schema: 'bundle-availability.json' }))
+
+// Check every mapped combination of every component in one batched stock check
+async function buildAvailabilityMatrix (bundleDefinition, shopDomain, accessToken, stores, stockOptions) {
+    const products = {}
+
+    for (const [productName, component] of Object.entries(bundleDefinition.components)) {
+        products[productName] = {
+            options: component.options,
+            combinations: getProductCombinations(productName, component.options)
+        }
+    }
+
+    const skus = Object.values(products).flatMap(product => product.combinations.map(combination => combination.sku))
+    const stockResults = await checkInventoryLevels(skus.map(sku => ({ sku, quantity: 1 })), shopDomain, accessToken, stores, stockOptions)
+    const countedLocations = await getCountedLocations(shopDomain, accessToken, stores.locationCache, stockOptions.countryCode)
+    const stockBySKU = Object.fromEntries(stockResults.map(result => [result.sku, result]))
+
+    for (const product of Object.values(products)) {
+        for (const combination of product.combinations) {
+            combination.available = stockBySKU[combination.sku].available
+            combination.status = stockBySKU[combination.sku].status
+
+            if (stockOptions.preorder) {
+                combination.backorder = Boolean(stockBySKU[combination.sku].backorder)
+                combination.expectedAt = stockBySKU[combination.sku].expectedAt || null
+            }
+        }
+    }
+
+    logger.debug('Built availability matrix', { bundle: bundleDefinition.name, combinations: skus.length })
+
+    return {
+        bundleProductId: bundleDefinition.productId,
+        bundle: bundleDefinition.name,
+        countryCode: stockOptions.countryCode || null,
+        preorder: stockOptions.preorder,
+        generatedAt: new Date().toISOString(),
+        countedLocations,
+        products
+    }
+}
+
+// Products and combinations keep their canonical keys for matching against the configurator,
+// and gain the shopper's labels: the product title, option names and each combination's option values
+function localizeMatrix (matrix, translator) {
+    const products = {}
+
+    for (const [productName, product] of Object.entries(matrix.products)) {
+        products[productName] = {
+            ...product,
+            title: translator.localizeProduct(productName),
+            optionLabels: Object.fromEntries(product.options.map(optionName => [optionName, translator.localizeOption(productName, optionName)])),
+            combinations: product.combinations.map(combination => ({
+                ...combination,
+                labels: Object.fromEntries(Object.entries(combination.options).map(([optionName, value]) => [
+                    optionName,
+                    translator.localizeValue(productName, optionName, value)
+                ]))
+            }))
+        }
+    }
+
+    return { ...matrix, locale: translator.locale, products }
+}
+
+async function getCachedMatrix (store, cacheKey) {
+    try {
+        const cached = await store.get(cacheKey)
+        if (cached && Date.now() - Date.parse(cached.generatedAt) < AVAILABILITY_CACHE_TTL_SECONDS * 1000) {
+            return cached
+        }
+    } catch (error) {
+        logger.warn('Failed to load cached availability matrix', { cacheKey, error })
+    }
+
+    return null
+}
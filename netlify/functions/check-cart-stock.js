@@ -0,0 +1,150 @@
+// netlify/functions/check-cart-stock.js
+const { checkInventoryLevels } = require('../lib/stock')
+const { getCountedLocations } = require('../lib/locations')
+const { parseBundleProperties, sumQuantitiesBySKU } = require('../lib/product-mapping')
+const { getBundleDefinition, getBundleErrors, isBundleComponentLine } = require('../lib/bundle-definitions')
+const { toPublicStockResult } = require('../lib/stock-levels')
+const { getCartReservationIds } = require('../lib/reservations')
+const { withShopRequest } = require('../lib/shop-request')
+const { apiError, fieldPath, jsonResponse } = require('../lib/responses')
+const { logger, withRequestLogging, addRequestFields } = require('../lib/logger')
+
+// Validates a whole /cart.js payload: bundle lines are expanded into their component SKUs,
+// loose lines count with their own SKU, and stock is checked against the combined demand
+// Request body: netlify/schemas/check-cart-stock.json, response: netlify/schemas/response.v1.json
+exports.handler = withRequestLogging('check-cart-stock', withShopRequest(async ({ params, shop, internal, headers, stores }) => {
+    // cart is the /cart.js payload
+    const { cart, countryCode, preorder, locale } = params
+
+    // Shopify Admin API credentials
+    const shopifyAccessToken = shop.accessToken
+    const shopifyShopDomain = shop.shopDomain
+
+    const cartLines = await expandCartLines(cart.items, shopifyShopDomain, shopifyAccessToken, stores, locale)
+
+    logger.debug('Expanded cart lines', { cartLines })
+
+    // One stock check for the whole cart, with demand summed per SKU across all lines
+    const demand = sumQuantitiesBySKU(cartLines.filter(line => !line.error).flatMap(line => line.components))
+    const stockResults = demand.length > 0
+        ? await checkInventoryLevels(demand, shopifyShopDomain, shopifyAccessToken, stores, { countryCode, preorder, excludeReservationIds: getCartReservationIds(cart) })
+        : []
+
+    // Which locations were counted is debug output, so only internal callers pay for looking them up
+    const countedLocations = internal
+        ? await getCountedLocations(shopifyShopDomain, shopifyAccessToken, stores.locationCache, countryCode)
+        : null
+
+    logger.debug('Stock check results', { stockResults })
+
+    const lines = allocateStock(cartLines, stockResults)
+    const allAvailable = lines.every(line => line.available)
+
+    // What the request's summary log line reports
+    addRequestFields({
+        available: allAvailable,
+        lines: lines.length,
+        skus: demand.length,
+        unavailableLines: lines.filter(line => !line.available).map(line => line.key)
+    })
+
+    // Shoppers only see stock statuses, exact counts, IDs and debug data are for internal callers
+    return jsonResponse(200, headers, {
+        available: allAvailable,
+        message: allAvailable ? 'All cart lines in stock' : 'Some cart lines are out of stock',
+        lines: lines,
+        stockResults: internal ? stockResults : stockResults.map(toPublicStockResult),
+        debug: internal ? { countedLocations } : undefined
+    })
+}, { methods: ['POST'], schema: 'check-cart-stock.json' }))
+
+// Turn each cart line into the component SKUs it consumes
+// Lines whose properties map to bundle components are bundles, everything else is a loose item,
+// including the component lines of a bundle added as separate variants (see create-bundle-order)
+// Bundle properties added on a localized storefront are in its locale's labels
+// A line that can't be checked carries the error (see responses.js) that stops it, pointing at its cart.items field
+async function expandCartLines (items, shopDomain, accessToken, stores, locale) {
+    const cartLines = []
+    // Lines of the same bundle product share one definition lookup
+    const bundleDefinitions = new Map()
+
+    for (const [index, item] of items.entries()) {
+        const itemField = fieldPath(['cart', 'items', index])
+
+        const line = {
+            key: item.key,
+            variantId: item.variant_id || item.id,
+            title: item.title,
+            quantity: item.quantity,
+            type: 'item',
+            components: []
+        }
+
+        if (item.properties && Object.keys(item.properties).length > 0 && !isBundleComponentLine(item.properties)) {
+            if (!bundleDefinitions.has(String(item.product_id))) {
+                bundleDefinitions.set(String(item.product_id), await getBundleDefinition(item.product_id, shopDomain, accessToken, stores.bundleDefinitions))
+            }
+
+            const bundleDefinition = bundleDefinitions.get(String(item.product_id))
+            const { lineItems, errors } = parseBundleProperties(item.properties, bundleDefinition, { locale })
+
+            // Properties of products outside the bundle alone (gift notes, engravings) don't make a line a bundle
+            if (lineItems.length > 0 || errors.some(error => error.code !== 'UNMAPPED_PRODUCT')) {
+                const [bundleError] = getBundleErrors(lineItems, errors, bundleDefinition)
+
+                line.type = 'bundle'
+                line.components = sumQuantitiesBySKU(lineItems, item.quantity)
+                line.error = bundleError ? { ...bundleError, field: bundleError.field ? `${itemField}.${bundleError.field}` : itemField } : undefined
+                cartLines.push(line)
+                continue
+            }
+        }
+
+        if (item.sku) {
+            line.components = [{ sku: item.sku, quantity: item.quantity }]
+        } else {
+            line.error = apiError('MISSING_SKU', 'Cart line has no SKU to check', itemField)
+        }
+
+        cartLines.push(line)
+    }
+
+    return cartLines
+}
+
+// Hand out stock to cart lines in cart order, so when two lines compete for the last units
+// the first one gets them and the later one is reported out of stock, or on backorder when the SKU oversells
+function allocateStock (cartLines, stockResults) {
+    const remaining = {}
+    const backorderable = new Set(stockResults.filter(result => result.backorder).map(result => result.sku))
+
+    for (const result of stockResults) {
+        remaining[result.sku] = result.availableQuantity === 'unlimited' ? Infinity : result.availableQuantity
+    }
+
+    return cartLines.map(line => {
+        if (line.error) {
+            return { ...line, available: false }
+        }
+
+        const shortSKUs = line.components
+            .filter(component => !(remaining[component.sku] >= component.quantity))
+            .map(component => component.sku)
+        const outOfStockSKUs = shortSKUs.filter(sku => !backorderable.has(sku))
+        const backorderSKUs = shortSKUs.filter(sku => backorderable.has(sku))
+
+        if (outOfStockSKUs.length === 0) {
+            for (const component of line.components) {
+                remaining[component.sku] -= component.quantity
+            }
+        }
+
+        return {
+            ...line,
+            available: outOfStockSKUs.length === 0,
+            backorder: outOfStockSKUs.length === 0 && backorderSKUs.length > 0,
+            outOfStockSKUs: outOfStockSKUs,
+            backorderSKUs: backorderSKUs
+        }
+    })
+}
@@ -0,0 +1,130 @@
+// netlify/functions/create-bundle-order.js
+const { checkInventoryLevels } = require('../lib/stock')
+const { createDraftOrder } = require('../lib/shopify')
+const { parseBundleProperties, sumQuantitiesBySKU } = require('../lib/product-mapping')
+const { BUNDLE_COMPONENT_PROPERTY, getBundleDefinition, getBundleErrors } = require('../lib/bundle-definitions')
+const { toPublicStockResult } = require('../lib/stock-levels')
+const { RESERVATION_ATTRIBUTE } = require('../lib/reservations')
+const { getTranslator } = require('../lib/translations')
+const { withShopRequest } = require('../lib/shop-request')
+const { apiError, jsonResponse, errorResponse } = require('../lib/responses')
+const { logger, withRequestLogging, addRequestFields } = require('../lib/logger')
+
+// Turns a validated bundle into something the shopper can buy, so the storefront never picks variants itself
+// POST { properties, bundleProductId, quantity, mode: "cart" | "draftOrder", reservationId?, email? }
+//   cart: a cart permalink and the /cart/add.js payload with each component's properties
+//   draftOrder: a Shopify draft order with an invoice URL, signed internal requests only
+// Request body: netlify/schemas/create-bundle-order.json, response: netlify/schemas/response.v1.json
+exports.handler = withRequestLogging('create-bundle-order', withShopRequest(async ({ params, shop, internal, headers, stores }) => {
+    const { properties, bundleProductId, quantity = 1, countryCode, preorder, reservationId, mode = 'cart', email, locale, size } = params
+
+    // Draft orders land in the admin, so shoppers' browsers can't create them
+    if (mode === 'draftOrder' && !internal) {
+        return errorResponse(headers, apiError('FORBIDDEN', 'Draft orders require a signed internal request', 'mode'))
+    }
+
+    const bundleDefinition = await getBundleDefinition(bundleProductId, shop.shopDomain, shop.accessToken, stores.bundleDefinitions)
+    const { lineItems, errors: propertyErrors } = parseBundleProperties(properties, bundleDefinition, { locale, size })
+    const bundleErrors = getBundleErrors(lineItems, propertyErrors, bundleDefinition)
+
+    if (bundleErrors.length > 0) {
+        return errorResponse(headers, bundleErrors)
+    }
+
+    const stockOptions = { countryCode, preorder, excludeReservationIds: reservationId ? [String(reservationId)] : [] }
+    const stockResults = await checkInventoryLevels(sumQuantitiesBySKU(lineItems, quantity), shop.shopDomain, shop.accessToken, stores, stockOptions)
+    const outOfStockItems = stockResults.filter(item => !item.available)
+
+    // What the request's summary log line reports
+    addRequestFields({ bundle: bundleDefinition.name, mode, outOfStockSKUs: outOfStockItems.map(item => item.sku) })
+
+    if (outOfStockItems.length > 0) {
+        return errorResponse(headers, apiError('OUT_OF_STOCK', 'Some items are out of stock'), {
+            available: false,
+            outOfStockItems: internal ? outOfStockItems : outOfStockItems.map(toPublicStockResult)
+        })
+    }
+
+    // One line per component, carrying the variant the stock check resolved and the component's own properties in the
+    // shopper's labels. The bundle marker makes cart checks and the order webhooks take the line as the variant it is,
+    // instead of reading the "Product: Option" properties as a bundle to expand again
+    const variantIdsBySKU = Object.fromEntries(stockResults.map(result => [result.sku, result.variantId]))
+    const translator = getTranslator(locale)
+    const orderLines = lineItems.map(item => ({
+        variantId: variantIdsBySKU[item.sku],
+        quantity: item.quantity * quantity,
+        properties: [
+            ...translator.localizeProperties(item.properties),
+            { name: BUNDLE_COMPONENT_PROPERTY, value: bundleDefinition.name }
+        ]
+    }))
+
+    if (mode === 'draftOrder') {
+        const draftOrder = await createDraftOrder(
+            buildDraftOrderInput(orderLines, bundleDefinition, reservationId, email),
+            shop.shopDomain,
+            shop.accessToken
+        )
+
+        logger.info('Created draft order', { draftOrder: draftOrder.name, bundle: bundleDefinition.name })
+
+        return jsonResponse(200, headers, {
+            available: true,
+            mode: mode,
+            draftOrder: {
+                id: Number(draftOrder.legacyResourceId),
+                name: draftOrder.name,
+                invoiceUrl: draftOrder.invoiceUrl
+            }
+        })
+    }
+
+    return jsonResponse(200, headers, {
+        available: true,
+        mode: mode,
+        ...buildCart(orderLines, shop.shopDomain, reservationId)
+    })
+}, { methods: ['POST'], schema: 'create-bundle-order.json' }))
+
+// Cart permalinks can't carry line item properties, so the /cart/add.js payload is returned alongside for storefronts that need them
+// The reservation ID rides along as a property, and as a cart attribute on the permalink, so the order releases the hold
+function buildCart (orderLines, shopDomain, reservationId) {
+    const items = orderLines.map(line => ({
+        id: line.variantId,
+        quantity: line.quantity,
+        properties: Object.fromEntries([
+            ...line.properties.map(property => [property.name, property.value]),
+            ...(reservationId ? [[RESERVATION_ATTRIBUTE, String(reservationId)]] : [])
+        ])
+    }))
+
+    const permalinkItems = orderLines.map(line => `${line.variantId}:${line.quantity}`).join(',')
+    const permalinkQuery = reservationId ? `?attributes[${RESERVATION_ATTRIBUTE}]=${encodeURIComponent(reservationId)}` : ''
+
+    return {
+        permalink: `https://${shopDomain}/cart/${permalinkItems}${permalinkQuery}`,
+        cartAdd: { items }
+    }
+}
+
+function buildDraftOrderInput (orderLines, bundleDefinition, reservationId, email) {
+    const input = {
+        lineItems: orderLines.map(line => ({
+            variantId: `gid://shopify/ProductVariant/${line.variantId}`,
+            quantity: line.quantity,
+            customAttributes: line.properties.map(property => ({ key: property.name, value: String(property.value) }))
+        })),
+        tags: ['bundle'],
+        note: bundleDefinition.name
+    }
+
+    if (reservationId) {
+        input.customAttributes = [{ key: RESERVATION_ATTRIBUTE, value: String(reservationId) }]
+    }
+
+    if (email) {
+        input.email = email
+    }
+
+    return input
+}
@@ -0,0 +1,55 @@
+// netlify/functions/invalidate-sku-index.js
+const { getStore } = require('../lib/kv-store')
+const { invalidateSKUs } = require('../lib/sku-index')
+const { hasBearerToken } = require('../lib/auth')
+const { resolveShop } = require('../lib/shops')
+const { parseRequestBody } = require('../lib/validation')
+const { apiError, jsonResponse, errorResponse, exceptionResponse } = require('../lib/responses')
+const { logger, withRequestLogging } = require('../lib/logger')
+
+// Manually drop SKU index entries, e.g. after a bulk catalog import
+// POST { "skus": ["CMXIN1M9"] } clears those SKUs, an empty body clears the whole shop
+// Request body: netlify/schemas/invalidate-sku-index.json, response: netlify/schemas/response.v1.json
+exports.handler = withRequestLogging('invalidate-sku-index', async (event, context) => {
+    const headers = {
+        'Content-Type': 'application/json'
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return errorResponse({ ...headers, 'Allow': 'POST' }, apiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+    }
+
+    // Expects "Authorization: Bearer <SKU_INDEX_ADMIN_TOKEN>"
+    if (!hasBearerToken(event, process.env.SKU_INDEX_ADMIN_TOKEN)) {
+        return errorResponse(headers, apiError('UNAUTHORIZED', 'Unauthorized'))
+    }
+
+    try {
+        const { body, errors } = parseRequestBody(event, 'invalidate-sku-index.json')
+
+        if (errors) {
+            return errorResponse(headers, errors)
+        }
+
+        const { shopDomain, skus } = body
+        const shop = resolveShop(shopDomain)
+
+        if (!shop) {
+            return errorResponse(headers, apiError('UNKNOWN_SHOP', 'Unknown shop', 'shopDomain'))
+        }
+
+        const shopifyShopDomain = shop.shopDomain
+
+        await invalidateSKUs(getStore('sku-index', event), shopifyShopDomain, skus)
+
+        return jsonResponse(200, headers, {
+            invalidated: skus || 'all',
+            shopDomain: shopifyShopDomain
+        })
+
+    } catch (error) {
+        logger.error('SKU index invalidation failed', { error })
+
+        return exceptionResponse(headers, error)
+    }
+})
@@ -0,0 +1,103 @@
+// netlify/functions/reserve-bundle-stock.js
+const { checkInventoryLevels } = require('../lib/stock')
+const { parseBundleProperties, sumQuantitiesBySKU } = require('../lib/product-mapping')
+const { getBundleDefinition, getBundleErrors } = require('../lib/bundle-definitions')
+const { toPublicStockResult } = require('../lib/stock-levels')
+const {
+    RESERVATION_ATTRIBUTE,
+    RESERVATION_MAX_UNITS,
+    RESERVATION_MAX_PER_CLIENT,
+    loadHolds,
+    countClientReservations,
+    createReservation,
+    getHoldLimits,
+    releaseReservations,
+    getReservationClient
+} = require('../lib/reservations')
+const { getClientIP } = require('../lib/rate-limit')
+const { withShopRequest } = require('../lib/shop-request')
+const { apiError, jsonResponse, errorResponse } = require('../lib/responses')
+const { withRequestLogging, addRequestFields } = require('../lib/logger')
+
+// Soft holds on a bundle's component SKUs between the stock check and checkout
+// POST { properties, bundleProductId, quantity, reservationId? } checks stock and holds it, replacing reservationId's hold
+// DELETE ?reservationId=... releases a hold, e.g. when the bundle is removed from the cart
+// Requests: netlify/schemas/reserve-bundle-stock.json and release-reservation.json, response: netlify/schemas/response.v1.json
+exports.handler = withRequestLogging('reserve-bundle-stock', withShopRequest(async ({ event, params, shop, internal, headers, stores }) => {
+    if (event.httpMethod === 'DELETE') {
+        const released = await releaseReservations(stores.reservations, shop.shopDomain, [params.reservationId])
+
+        return jsonResponse(200, headers, { released: released.length > 0, reservationId: params.reservationId })
+    }
+
+    return reserveBundle(params, shop, internal, stores, headers, event)
+}, {
+    methods: ['POST', 'DELETE'],
+    schema: { POST: 'reserve-bundle-stock.json', DELETE: 'release-reservation.json' }
+}))
+
+// Check the bundle's components like check-bundle-stock does, and hold them when everything is available
+async function reserveBundle (params, shop, internal, stores, headers, event) {
+    const { properties, bundleProductId, quantity = 1, countryCode, preorder, reservationId, locale, size } = params
+
+    const bundleDefinition = await getBundleDefinition(bundleProductId, shop.shopDomain, shop.accessToken, stores.bundleDefinitions)
+    const { lineItems, errors } = parseBundleProperties(properties, bundleDefinition, { locale, size })
+    const bundleErrors = getBundleErrors(lineItems, errors, bundleDefinition)
+
+    if (bundleErrors.length > 0) {
+        return errorResponse(headers, bundleErrors)
+    }
+
+    // The endpoint is public, so a hold is capped in size and a client in how many it keeps at once
+    const demand = sumQuantitiesBySKU(lineItems, quantity)
+    const units = demand.reduce((sum, item) => sum + item.quantity, 0)
+    const client = getReservationClient(getClientIP(event))
+
+    if (units > RESERVATION_MAX_UNITS) {
+        return errorResponse(headers, apiError('INVALID_REQUEST', `A reservation can hold at most ${RESERVATION_MAX_UNITS} units`, 'quantity', { units, maxUnits: RESERVATION_MAX_UNITS }))
+    }
+
+    // One scan of the shop's holds serves the client cap and the stock check
+    const holds = await loadHolds(stores.reservations, shop.shopDomain)
+
+    if (countClientReservations(holds, client, reservationId) >= RESERVATION_MAX_PER_CLIENT) {
+        return errorResponse(headers, apiError('TOO_MANY_RESERVATIONS', 'Too many active reservations', undefined, { maxReservations: RESERVATION_MAX_PER_CLIENT }))
+    }
+
+    // A replaced reservation doesn't compete with its own replacement
+    const stockOptions = { countryCode, preorder, excludeReservationIds: reservationId ? [String(reservationId)] : [], holds }
+    const stockResults = await checkInventoryLevels(demand, shop.shopDomain, shop.accessToken, stores, stockOptions)
+    const outOfStockItems = stockResults.filter(item => !item.available)
+
+    addRequestFields({ bundle: bundleDefinition.name, outOfStockSKUs: outOfStockItems.map(item => item.sku) })
+
+    if (outOfStockItems.length > 0) {
+        return errorResponse(headers, apiError('OUT_OF_STOCK', 'Some items are out of stock'), {
+            reserved: false,
+            outOfStockItems: internal ? outOfStockItems : outOfStockItems.map(toPublicStockResult)
+        })
+    }
+
+    // Another reservation may have taken the same units since the check, createReservation backs off if so
+    const reservation = await createReservation(stores.reservations, shop.shopDomain, demand, reservationId, client, getHoldLimits(stockResults), holds)
+
+    if (reservation.oversoldSKUs) {
+        const oversoldItems = stockResults
+            .filter(item => reservation.oversoldSKUs.includes(item.sku))
+            .map(item => ({ ...item, available: false, status: 'out_of_stock' }))
+
+        addRequestFields({ outOfStockSKUs: reservation.oversoldSKUs })
+
+        return errorResponse(headers, apiError('OUT_OF_STOCK', 'Some items are out of stock'), {
+            reserved: false,
+            outOfStockItems: internal ? oversoldItems : oversoldItems.map(toPublicStockResult)
+        })
+    }
+
+    return jsonResponse(200, headers, {
+        reserved: true,
+        ...reservation,
+        // Store the ID under this cart attribute or line item property so the order releases the hold
+        attribute: RESERVATION_ATTRIBUTE
+    })
+}
@@ -0,0 +1,176 @@
+// netlify/functions/shopify-webhooks.js
+const crypto = require('crypto')
+const { getStore } = require('../lib/kv-store')
+const { reindexProduct, removeProduct } = require('../lib/sku-index')
+const { invalidateLocations } = require('../lib/locations')
+const { invalidateBundleDefinition } = require('../lib/bundle-definitions')
+const { PRODUCT_SKU_MAPPING } = require('../lib/product-mapping')
+const { releaseReservations, getOrderReservationIds } = require('../lib/reservations')
+const { applyOrderAdjustment, reverseOrderAdjustment, reverseRefundAdjustment } = require('../lib/order-inventory')
+const { processInventoryUpdate } = require('../lib/back-in-stock')
+const { resolveShop } = require('../lib/shops')
+const { apiError, jsonResponse, errorResponse, exceptionResponse } = require('../lib/responses')
+const { logger, withRequestLogging, addRequestFields } = require('../lib/logger')
+
+// Keeps the stock checker's cached catalog data in sync with Shopify
+exports.handler = withRequestLogging('shopify-webhooks', async (event, context) => {
+    const headers = {
+        'Content-Type': 'application/json'
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return errorResponse({ ...headers, 'Allow': 'POST' }, apiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+    }
+
+    const requestHeaders = event.headers || {}
+
+    // Anything Shopify sends is signed, an unsigned request is turned away before looking at it
+    if (!requestHeaders['x-shopify-hmac-sha256']) {
+        logger.warn('Rejected unsigned webhook')
+        return errorResponse(headers, apiError('INVALID_SIGNATURE', 'Missing webhook signature'))
+    }
+
+    // Each registered shop signs its webhooks with its own secret
+    const shop = requestHeaders['x-shopify-shop-domain'] ? resolveShop(requestHeaders['x-shopify-shop-domain']) : null
+
+    if (!shop) {
+        logger.warn('Rejected webhook from unknown shop', { shop: requestHeaders['x-shopify-shop-domain'] })
+        return errorResponse(headers, apiError('UNKNOWN_SHOP', 'Unknown shop'))
+    }
+
+    // The signature covers the exact bytes Shopify sent, so verify before parsing
+    const rawBody = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8')
+
+    if (!verifyWebhookSignature(rawBody, requestHeaders['x-shopify-hmac-sha256'], shop.webhookSecret)) {
+        logger.warn('Rejected webhook with invalid HMAC signature', { shop: shop.shopDomain })
+        return errorResponse(headers, apiError('INVALID_SIGNATURE', 'Invalid webhook signature'))
+    }
+
+    const topic = requestHeaders['x-shopify-topic']
+    const shopDomain = shop.shopDomain
+    const topicHandler = WEBHOOK_HANDLERS[topic]
+
+    addRequestFields({ shop: shopDomain, topic, handled: Boolean(topicHandler) })
+
+    // Acknowledge topics we don't handle so Shopify doesn't keep retrying them
+    if (!topicHandler) {
+        return jsonResponse(200, headers, { received: true, handled: false, topic })
+    }
+
+    try {
+        await topicHandler(JSON.parse(rawBody.toString('utf8')), shopDomain, event)
+
+        return jsonResponse(200, headers, { received: true, handled: true, topic })
+
+    } catch (error) {
+        // A non-2xx response makes Shopify retry the delivery
+        logger.error('Webhook handling failed', { topic, error })
+
+        return exceptionResponse(headers, error)
+    }
+})
+
+const WEBHOOK_HANDLERS = {
+    'products/update': handleProductUpdate,
+    'products/delete': handleProductDelete,
+    'inventory_levels/update': handleInventoryLevelUpdate,
+    'locations/create': handleLocationChange,
+    'locations/update': handleLocationChange,
+    'locations/delete': handleLocationChange,
+    'orders/create': handleOrderCreate,
+    'orders/cancelled': handleOrderCancelled,
+    'refunds/create': handleRefundCreate
+}
+
+// The updated product may be a component or a bundle product with a definition metafield
+async function handleProductUpdate (product, shopDomain, event) {
+    await reindexProduct(getStore('sku-index', event), shopDomain, product)
+    await invalidateBundleDefinition(getStore('bundle-definitions', event), shopDomain, product.id)
+    warnAboutUnmappedSKUs(product)
+}
+
+async function handleProductDelete (product, shopDomain, event) {
+    await removeProduct(getStore('sku-index', event), shopDomain, product.id)
+    await invalidateBundleDefinition(getStore('bundle-definitions', event), shopDomain, product.id)
+}
+
+// Quantities are always read live, so there is no cached stock to refresh, but restocks may complete
+// a back-in-stock subscription
+async function handleInventoryLevelUpdate (inventoryLevel, shopDomain, event) {
+    logger.debug('Inventory level updated', {
+        inventoryItemId: inventoryLevel.inventory_item_id,
+        locationId: inventoryLevel.location_id,
+        available: inventoryLevel.available
+    })
+
+    if (!(inventoryLevel.available > 0)) {
+        return
+    }
+
+    await processInventoryUpdate(inventoryLevel.inventory_item_id, shopDomain, resolveShop(shopDomain).accessToken, {
+        skuIndex: getStore('sku-index', event),
+        locationCache: getStore('locations', event),
+        reservations: getStore('reservations', event),
+        backInStock: getStore('back-in-stock', event)
+    })
+}
+
+async function handleLocationChange (location, shopDomain, event) {
+    await invalidateLocations(getStore('locations', event), shopDomain)
+}
+
+// The order now holds the stock itself, so the reservations made on the way to checkout can go,
+// and the bundle's components are taken from inventory since Shopify only decrements the bundle SKU
+async function handleOrderCreate (order, shopDomain, event) {
+    const reservationIds = getOrderReservationIds(order)
+
+    if (reservationIds.length > 0) {
+        await releaseReservations(getStore('reservations', event), shopDomain, reservationIds)
+    }
+
+    await applyOrderAdjustment(order, shopDomain, resolveShop(shopDomain).accessToken, getAdjustmentStores(event))
+}
+
+async function handleOrderCancelled (order, shopDomain, event) {
+    await reverseOrderAdjustment(order, shopDomain, resolveShop(shopDomain).accessToken, getAdjustmentStores(event))
+}
+
+async function handleRefundCreate (refund, shopDomain, event) {
+    await reverseRefundAdjustment(refund, shopDomain, resolveShop(shopDomain).accessToken, getAdjustmentStores(event))
+}
+
+function getAdjustmentStores (event) {
+    return {
+        skuIndex: getStore('sku-index', event),
+        locationCache: getStore('locations', event),
+        bundleDefinitions: getStore('bundle-definitions', event),
+        adjustments: getStore('order-adjustments', event)
+    }
+}
+
+// A renamed SKU breaks PRODUCT_SKU_MAPPING lookups, so flag mapped SKUs the product no longer has
+function warnAboutUnmappedSKUs (product) {
+    const productMapping = PRODUCT_SKU_MAPPING[product.title]
+
+    if (!productMapping) {
+        return
+    }
+
+    const currentSKUs = new Set((product.variants || []).map(variant => variant.sku))
+    const missingSKUs = Object.values(productMapping).filter(sku => !currentSKUs.has(sku))
+
+    if (missingSKUs.length > 0) {
+        logger.warn('Product no longer has mapped SKUs', { product: product.title, skus: missingSKUs })
+    }
+}
+
+function verifyWebhookSignature (rawBody, signature, webhookSecret) {
+    if (!webhookSecret || !signature) {
+        return false
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('base64'))
+    const received = Buffer.from(signature)
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
@@ -0,0 +1,55 @@
+// netlify/functions/subscribe-back-in-stock.js
+const { getStore } = require('../lib/kv-store')
+const { parseBundleProperties, sumQuantitiesBySKU } = require('../lib/product-mapping')
+const { getBundleDefinition, getBundleErrors } = require('../lib/bundle-definitions')
+const { SUBSCRIPTION_MAX_PER_EMAIL, subscribe } = require('../lib/back-in-stock')
+const { isMailConfigured } = require('../lib/mailer')
+const { getTranslator } = require('../lib/translations')
+const { withShopRequest } = require('../lib/shop-request')
+const { apiError, jsonResponse, errorResponse } = require('../lib/responses')
+const { withRequestLogging, addRequestFields } = require('../lib/logger')
+
+// Ask to be emailed when a sold-out bundle combination is back in stock
+// POST { email, properties, bundleProductId, quantity } with the same properties the stock check takes
+// Request body: netlify/schemas/subscribe-back-in-stock.json, response: netlify/schemas/response.v1.json
+exports.handler = withRequestLogging('subscribe-back-in-stock', withShopRequest(async ({ event, params, shop, headers, stores }) => {
+    const { email, properties, bundleProductId, quantity = 1, countryCode, locale, size } = params
+
+    // A subscription is a promise to email the shopper, so none is taken while mail can't be sent
+    if (!isMailConfigured()) {
+        return errorResponse(headers, apiError('NOTIFICATIONS_UNAVAILABLE', 'Back-in-stock notifications are not available'))
+    }
+
+    const bundleDefinition = await getBundleDefinition(bundleProductId, shop.shopDomain, shop.accessToken, stores.bundleDefinitions)
+    const { lineItems, errors: propertyErrors } = parseBundleProperties(properties, bundleDefinition, { locale, size })
+    const bundleErrors = getBundleErrors(lineItems, propertyErrors, bundleDefinition)
+
+    if (bundleErrors.length > 0) {
+        return errorResponse(headers, bundleErrors)
+    }
+
+    const { subscriptionId, created, tooMany } = await subscribe(
+        getStore('back-in-stock', event),
+        shop.shopDomain,
+        shop.accessToken,
+        stores.skuIndex,
+        {
+            email: email.trim().toLowerCase(),
+            items: sumQuantitiesBySKU(lineItems, quantity),
+            // The notification lists the combination the way the shopper saw it
+            properties: getTranslator(locale).localizeProperties(lineItems.flatMap(item => item.properties)),
+            bundle: bundleDefinition.name,
+            bundleProductId: bundleDefinition.productId,
+            countryCode: countryCode || null,
+            locale: locale || null
+        }
+    )
+
+    if (tooMany) {
+        return errorResponse(headers, apiError('TOO_MANY_SUBSCRIPTIONS', 'Too many back-in-stock subscriptions for this email', undefined, { maxSubscriptions: SUBSCRIPTION_MAX_PER_EMAIL }))
+    }
+
+    addRequestFields({ bundle: bundleDefinition.name, created })
+
+    return jsonResponse(created ? 201 : 200, headers, { subscribed: true, subscriptionId })
+}, { methods: ['POST'], schema: 'subscribe-back-in-stock.json' }))
@@ -0,0 +1,116 @@
+// netlify/lib/alternatives.js
+const { checkInventoryLevels } = require('./stock')
+const { getProductCombinations, convertToOriginalProperties } = require('./product-mapping')
+const { getTranslator } = require('./translations')
+const { SIZE_OPTION } = require('./sizes')
+
+const ALTERNATIVES_LIMIT = Number(process.env.ALTERNATIVES_LIMIT) || 3
+
+// Suggest in-stock replacements for sold-out bundle components, best match first:
+//   1. same size, one other option changed (another profile, arch support or slide color)
+//   2. same size, several other options changed
+//   3. same other options, the next size up or down
+// Returns alternatives keyed by the sold-out SKU, labelled and with properties in the shopper's locale
+async function findAlternatives (outOfStockItems, lineItems, bundleDefinition, shopDomain, accessToken, stores, stockOptions, locale) {
+    const candidatesBySKU = {}
+    const translator = getTranslator(locale)
+
+    for (const item of outOfStockItems) {
+        const lineItem = lineItems.find(candidate => candidate.sku === item.sku)
+        const component = lineItem && bundleDefinition.components[lineItem.productName]
+
+        if (!component) {
+            continue
+        }
+
+        candidatesBySKU[item.sku] = rankCandidates(lineItem, component.options, translator).map(candidate => ({
+            ...candidate,
+            quantity: item.quantity
+        }))
+    }
+
+    const candidates = Object.values(candidatesBySKU).flat()
+
+    if (candidates.length === 0) {
+        return {}
+    }
+
+    // One batched stock check for every candidate of every sold-out item
+    const stockResults = await checkInventoryLevels(
+        candidates.map(candidate => ({ sku: candidate.sku, quantity: candidate.quantity })),
+        shopDomain,
+        accessToken,
+        stores,
+        stockOptions
+    )
+    const inStockSKUs = new Set(stockResults.filter(result => result.available).map(result => result.sku))
+
+    const alternatives = {}
+
+    for (const [sku, skuCandidates] of Object.entries(candidatesBySKU)) {
+        alternatives[sku] = skuCandidates
+            .filter(candidate => inStockSKUs.has(candidate.sku))
+            .slice(0, ALTERNATIVES_LIMIT)
+            .map(({ quantity, rank, ...alternative }) => alternative)
+    }
+
+    return alternatives
+}
+
+// Every other combination of the same product that qualifies as a replacement, ranked
+function rankCandidates (lineItem, optionNames, translator) {
+    const propertyLabel = getPropertyLabel(lineItem)
+    const selected = Object.fromEntries(optionNames.map(optionName => [optionName, findSelectedOption(lineItem, propertyLabel, optionName)]))
+    const combinations = getProductCombinations(lineItem.productName, optionNames)
+
+    // Sizes in the order the mapping lists them, smallest first
+    const sizes = [...new Set(combinations.map(combination => combination.options[SIZE_OPTION]))]
+    const selectedSizeIndex = sizes.indexOf(selected[SIZE_OPTION])
+
+    const ranked = []
+
+    for (const combination of combinations) {
+        if (combination.sku === lineItem.sku) {
+            continue
+        }
+
+        const changed = optionNames.filter(optionName => combination.options[optionName] !== selected[optionName])
+        const sizeChanged = changed.includes(SIZE_OPTION)
+        let rank
+
+        if (!sizeChanged) {
+            rank = changed.length === 1 ? 1 : 2
+        } else if (changed.length === 1 && Math.abs(sizes.indexOf(combination.options[SIZE_OPTION]) - selectedSizeIndex) === 1) {
+            rank = 3
+        } else {
+            continue
+        }
+
+        ranked.push({
+            sku: combination.sku,
+            rank: rank,
+            changed: changed,
+            label: changed.map(optionName => translator.localizeValue(lineItem.productName, optionName, combination.options[optionName])).join(' / '),
+            options: combination.options,
+            properties: translator.localizeProperties(convertToOriginalProperties(propertyLabel, combination.options))
+        })
+    }
+
+    // Stable sort keeps mapping order within a rank
+    return ranked.sort((a, b) => a.rank - b.rank)
+}
+
+// Line item properties are named "<label>: <option>", where the label may carry a component index
+function getPropertyLabel (lineItem) {
+    const name = lineItem.properties[0].name
+    return name.slice(0, name.lastIndexOf(':'))
+}
+
+function findSelectedOption (lineItem, propertyLabel, optionName) {
+    const property = lineItem.properties.find(candidate => candidate.name === `${propertyLabel}: ${optionName}`)
+    return property ? property.value : undefined
+}
+
+module.exports = {
+    findAlternatives
+}
@@ -0,0 +1,103 @@
+// netlify/lib/auth.js
+const crypto = require('crypto')
+const { resolveShop, normalizeOrigin } = require('./shops')
+const { apiError } = require('./responses')
+
+// Signed requests and App Proxy requests older than this are rejected, so captured ones can't be replayed later
+const SIGNATURE_MAX_AGE_SECONDS = 300
+
+// Expects "Authorization: Bearer <token>", compared in constant time
+function hasBearerToken (event, token) {
+    const authorization = event.headers && event.headers.authorization
+
+    if (!token || !authorization) {
+        return false
+    }
+
+    return safeEqual(`Bearer ${token}`, authorization)
+}
+
+// Internal tools (ops dashboards, support) sign their requests with INTERNAL_API_SECRET and get exact counts and debug data:
+//   X-Request-Timestamp: <unix seconds>
+//   X-Request-Signature: hex HMAC-SHA256 of "<timestamp>\n<METHOD>\n<path>\n<raw body>"
+function isInternalRequest (event) {
+    const secret = process.env.INTERNAL_API_SECRET
+    const timestamp = event.headers && event.headers['x-request-timestamp']
+    const signature = event.headers && event.headers['x-request-signature']
+
+    if (!secret || !timestamp || !signature || !isFresh(timestamp)) {
+        return false
+    }
+
+    const rawBody = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8').toString('utf8')
+    const expected = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}\n${event.httpMethod}\n${event.path}\n${rawBody}`)
+        .digest('hex')
+
+    return safeEqual(expected, signature)
+}
+
+// Requests forwarded by a shop's App Proxy carry shop, timestamp and signature query parameters
+// Returns the shop when the signature checks out with that shop's app secret, otherwise null
+function getAppProxyShop (event) {
+    const params = event.queryStringParameters || {}
+
+    if (!params.shop || !params.signature || !isFresh(params.timestamp)) {
+        return null
+    }
+
+    const shop = resolveShop(params.shop)
+
+    if (!shop || !shop.appProxySecret) {
+        return null
+    }
+
+    // Shopify signs the sorted "key=value" pairs joined without separators, repeated keys joined with commas
+    const multiValueParams = event.multiValueQueryStringParameters || {}
+    const message = Object.keys(params)
+        .filter(key => key !== 'signature')
+        .sort()
+        .map(key => `${key}=${(multiValueParams[key] || [params[key]]).join(',')}`)
+        .join('')
+    const expected = crypto.createHmac('sha256', shop.appProxySecret).update(message).digest('hex')
+
+    return safeEqual(expected, params.signature) ? shop : null
+}
+
+// Which shop a storefront-facing request is for and whether it may use it
+// App Proxy and signed internal requests are verified, browser requests must come from one of the shop's origins
+// Returns { shop, internal }, or { error } to reject the request with before any Shopify call
+function authorizeShopRequest (event, requestedShopDomain) {
+    const appProxyShop = getAppProxyShop(event)
+    const shop = appProxyShop || resolveShop(requestedShopDomain)
+
+    if (!shop) {
+        return { error: apiError('UNKNOWN_SHOP', 'Unknown shop', 'shopDomain') }
+    }
+
+    const internal = isInternalRequest(event)
+    const origin = event.headers && event.headers.origin
+
+    if (!appProxyShop && !internal && !(origin && shop.allowedOrigins.includes(normalizeOrigin(origin)))) {
+        return { error: apiError('ORIGIN_NOT_ALLOWED', 'Origin not allowed') }
+    }
+
+    return { shop, internal }
+}
+
+function isFresh (timestamp) {
+    return Math.abs(Date.now() / 1000 - Number(timestamp)) <= SIGNATURE_MAX_AGE_SECONDS
+}
+
+function safeEqual (expectedValue, receivedValue) {
+    const expected = Buffer.from(expectedValue)
+    const received = Buffer.from(String(receivedValue))
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+module.exports = {
+    hasBearerToken,
+    isInternalRequest,
+    authorizeShopRequest
+}
@@ -0,0 +1,179 @@
+// netlify/lib/back-in-stock.js
+const crypto = require('crypto')
+const { checkInventoryLevels } = require('./stock')
+const { getIndexedVariants } = require('./sku-index')
+const { isMailConfigured, sendMail } = require('./mailer')
+const { logger } = require('./logger')
+
+// Shoppers waiting for a sold-out bundle combination, one entry per subscription under "<shop>/emails/<email hash>/<id>":
+//   { email, items: [{ sku, quantity }], inventoryItemIds, properties, bundle, countryCode, createdAt, claimedAt? }
+// The ID comes from the email and the components, so subscribing twice lands on the same entry
+// Each component's inventory item also gets an empty marker, "<shop>/items/<inventory item ID>/<email hash>/<id>", so an
+// inventory update only reads the subscriptions waiting on its own item
+// A subscription is deleted once its notification has been sent, so every shopper is told once
+const SUBSCRIPTION_MAX_PER_EMAIL = Number(process.env.SUBSCRIPTION_MAX_PER_EMAIL) || 5
+
+// How long a claimed subscription waits for its notification before another update may claim it, in case the
+// function sending it was cut off
+const SUBSCRIPTION_CLAIM_SECONDS = 900
+
+// Record a subscription, or return the existing one when the email already waits for the same components
+// Returns { subscriptionId, created }, or { tooMany: true } when the email already waits on as many combinations as it may
+async function subscribe (store, shopDomain, accessToken, skuIndexStore, subscription) {
+    const itemsKey = getItemsKey(subscription.items)
+    const emailHash = hash(subscription.email)
+    const emailPrefix = `${shopDomain}/emails/${emailHash}/`
+    const id = hash(`${subscription.email}\n${itemsKey}`)
+
+    if (await store.get(`${emailPrefix}${id}`)) {
+        return { subscriptionId: id, created: false }
+    }
+
+    if ((await store.list(emailPrefix)).length >= SUBSCRIPTION_MAX_PER_EMAIL) {
+        return { tooMany: true }
+    }
+
+    // Inventory level webhooks name inventory items, so keep them to find the subscriptions an update concerns
+    const variantsBySKU = await getIndexedVariants(subscription.items.map(item => item.sku), shopDomain, accessToken, skuIndexStore)
+    const inventoryItemIds = Object.values(variantsBySKU).map(variant => variant.inventory_item_id)
+
+    // Markers first: one without its subscription is dropped when found, a subscription without markers would never be found
+    await Promise.all(inventoryItemIds.map(inventoryItemId => store.set(`${shopDomain}/items/${inventoryItemId}/${emailHash}/${id}`, {})))
+    await store.set(`${emailPrefix}${id}`, {
+        ...subscription,
+        inventoryItemIds,
+        createdAt: new Date().toISOString()
+    })
+    logger.info('Back-in-stock subscription created', { shop: shopDomain, subscriptionId: id, items: itemsKey })
+
+    return { subscriptionId: id, created: true }
+}
+
+// Check the subscriptions waiting on an inventory item and notify the ones whose components are all back
+// Without a mail transport nothing is checked, every subscription keeps waiting
+// Returns how many notifications were sent
+async function processInventoryUpdate (inventoryItemId, shopDomain, accessToken, stores) {
+    if (!isMailConfigured()) {
+        logger.warn('No mail transport configured, back-in-stock subscriptions keep waiting', { shop: shopDomain })
+        return 0
+    }
+
+    const waiting = await loadWaitingSubscriptions(stores.backInStock, shopDomain, inventoryItemId)
+
+    if (waiting.length === 0) {
+        return 0
+    }
+
+    // One stock check per shopper country for every SKU waited on there, each subscription is then compared against its own quantities
+    const stockByCountry = {}
+
+    for (const countryCode of new Set(waiting.map(subscription => subscription.countryCode))) {
+        const skus = [...new Set(waiting
+            .filter(subscription => subscription.countryCode === countryCode)
+            .flatMap(subscription => subscription.items.map(item => item.sku)))]
+        const stockResults = await checkInventoryLevels(skus.map(sku => ({ sku, quantity: 1 })), shopDomain, accessToken, stores, { countryCode })
+
+        stockByCountry[countryCode] = Object.fromEntries(stockResults.map(result => [result.sku, result]))
+    }
+
+    let sent = 0
+
+    for (const subscription of waiting) {
+        const backInStock = subscription.items.every(item => {
+            const result = stockByCountry[subscription.countryCode][item.sku]
+            return result && (result.availableQuantity === 'unlimited' || result.availableQuantity >= item.quantity)
+        })
+
+        if (!backInStock) {
+            continue
+        }
+
+        // Updates for the other components can get here at the same time, only the one that claims the entry sends
+        const { key, id, version, claimedAt, ...record } = subscription
+
+        if (!await stores.backInStock.setIfVersion(key, { ...record, claimedAt: new Date().toISOString() }, version)) {
+            continue
+        }
+
+        try {
+            await sendMail(buildNotification(subscription))
+        } catch (error) {
+            // Stays subscribed, the next inventory update tries again
+            logger.error('Failed to send back-in-stock notification', { shop: shopDomain, subscriptionId: id, error })
+            await stores.backInStock.set(key, record)
+            continue
+        }
+
+        // Only this subscription goes, its markers are dropped after it so an update reading them finds it gone
+        await stores.backInStock.delete(key)
+        await Promise.all(record.inventoryItemIds.map(itemId => stores.backInStock.delete(getMarkerKey(shopDomain, itemId, key))))
+        sent++
+    }
+
+    if (sent > 0) {
+        logger.info('Sent back-in-stock notifications', { shop: shopDomain, sent })
+    }
+
+    return sent
+}
+
+function buildNotification (subscription) {
+    const lines = subscription.properties.map(property => `  ${property.name}: ${property.value}`)
+
+    return {
+        to: subscription.email,
+        subject: `Your ${subscription.bundle} is back in stock`,
+        text: [
+            `Good news, every item in the ${subscription.bundle} you asked about is available again:`,
+            '',
+            ...lines,
+            '',
+            'Stock is limited, so order soon.'
+        ].join('\n')
+    }
+}
+
+function getItemsKey (items) {
+    return items.map(item => `${item.sku}x${item.quantity}`).sort().join(',')
+}
+
+// Subscriptions waiting on an inventory item with their key, ID and version, claimed ones are left to their claimer
+// Markers whose subscription is gone are deleted as they are found
+async function loadWaitingSubscriptions (store, shopDomain, inventoryItemId) {
+    const markerPrefix = `${shopDomain}/items/${inventoryItemId}/`
+    const claimedBefore = new Date(Date.now() - SUBSCRIPTION_CLAIM_SECONDS * 1000).toISOString()
+    const subscriptions = []
+
+    for (const markerKey of await store.list(markerPrefix)) {
+        const key = `${shopDomain}/emails/${markerKey.slice(markerPrefix.length)}`
+        const entry = await store.getVersioned(key)
+
+        if (!entry) {
+            await store.delete(markerKey)
+            continue
+        }
+
+        if (entry.value.claimedAt && entry.value.claimedAt > claimedBefore) {
+            continue
+        }
+
+        subscriptions.push({ ...entry.value, key, id: key.split('/').pop(), version: entry.version })
+    }
+
+    return subscriptions
+}
+
+function getMarkerKey (shopDomain, inventoryItemId, subscriptionKey) {
+    return `${shopDomain}/items/${inventoryItemId}/${subscriptionKey.slice(`${shopDomain}/emails/`.length)}`
+}
+
+// Keys and IDs carry hashes rather than email addresses
+function hash (value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32)
+}
+
+module.exports = {
+    SUBSCRIPTION_MAX_PER_EMAIL,
+    subscribe,
+    processInventoryUpdate
+}
@@ -0,0 +1,213 @@
+// netlify/lib/bundle-definitions.js
+const bundleConfig = require('../config/bundles.json')
+const { getProductMetafield } = require('./shopify')
+const { apiError } = require('./responses')
+const { logger } = require('./logger')
+
+// Bundle products can carry their own definition in a JSON metafield, which wins over bundles.json
+const BUNDLE_METAFIELD_NAMESPACE = process.env.BUNDLE_METAFIELD_NAMESPACE || 'bundle'
+const BUNDLE_METAFIELD_KEY = process.env.BUNDLE_METAFIELD_KEY || 'definition'
+const BUNDLE_DEFINITION_TTL_SECONDS = Number(process.env.BUNDLE_DEFINITION_TTL_SECONDS) || 300
+
+// Products sold as the default bundle, every other bundle product is registered with its own definition
+// (metafield or bundles.json), so a product that only falls back to the default isn't taken for a bundle
+const DEFAULT_BUNDLE_PRODUCT_IDS = (bundleConfig.default.productIds || []).map(String)
+
+// Hidden line item property on the component lines of a bundle sold as separate variants (create-bundle-order), valued
+// with the bundle's name; such a line consumes its own SKU, which Shopify already tracks, so it is never expanded again
+const BUNDLE_COMPONENT_PROPERTY = '_bundle'
+
+// Find the definition for a bundle product: metafield, then bundles.json, then the default bundle
+async function getBundleDefinition (bundleProductId, shopDomain, accessToken, store) {
+    const productId = normalizeProductId(bundleProductId)
+
+    if (!productId) {
+        return normalizeDefinition(bundleConfig.default, 'default')
+    }
+
+    const metafieldDefinition = await getMetafieldDefinition(productId, shopDomain, accessToken, store)
+    if (metafieldDefinition) {
+        return normalizeDefinition(metafieldDefinition, 'metafield', productId)
+    }
+
+    if (bundleConfig.bundles[productId]) {
+        return normalizeDefinition(bundleConfig.bundles[productId], 'config', productId)
+    }
+
+    logger.debug('No bundle definition for product, using default bundle', { productId })
+    return normalizeDefinition(bundleConfig.default, 'default', productId)
+}
+
+// Forget a cached metafield definition, e.g. when the bundle product is updated
+async function invalidateBundleDefinition (store, shopDomain, productId) {
+    await store.delete(cacheKey(shopDomain, normalizeProductId(productId)))
+}
+
+// Check parsed components against the definition's min/max count, every unit of every component counts
+// Returns a BUNDLE_TOO_SMALL or BUNDLE_TOO_LARGE error, or null when the count is fine
+function getComponentCountError (lineItems, bundleDefinition) {
+    const { minComponents, maxComponents } = bundleDefinition
+    const componentCount = lineItems.reduce((total, item) => total + item.quantity, 0)
+    const expectedCount = minComponents === maxComponents
+        ? `exactly ${minComponents}`
+        : `between ${minComponents} and ${maxComponents}`
+    const details = { found: componentCount, minComponents, maxComponents }
+
+    if (componentCount === 0) {
+        return apiError('BUNDLE_TOO_SMALL', 'No valid SKUs found from properties - could not map any products', 'properties', details)
+    }
+
+    if (componentCount < minComponents) {
+        return apiError('BUNDLE_TOO_SMALL', `Bundle incomplete - only found ${componentCount} product SKU(s), expected ${expectedCount} products`, 'properties', details)
+    }
+
+    if (componentCount > maxComponents) {
+        return apiError('BUNDLE_TOO_LARGE', `Invalid bundle configuration - found ${componentCount} products, expected ${expectedCount}`, 'properties', details)
+    }
+
+    return null
+}
+
+// Everything wrong with a parsed bundle, most relevant first, or an empty list when it can be checked
+// A component the shopper picked but that can't be resolved always fails the bundle,
+// properties of products outside the bundle only matter when they leave it short
+function getBundleErrors (lineItems, propertyErrors, bundleDefinition) {
+    const componentErrors = propertyErrors.filter(error => error.code !== 'UNMAPPED_PRODUCT')
+
+    if (componentErrors.length > 0) {
+        return componentErrors
+    }
+
+    const countError = getComponentCountError(lineItems, bundleDefinition)
+
+    return countError ? [countError, ...propertyErrors] : []
+}
+
+async function getMetafieldDefinition (productId, shopDomain, accessToken, store) {
+    const key = cacheKey(shopDomain, productId)
+
+    try {
+        const cached = await store.get(key)
+        if (cached && Date.now() - cached.cachedAt < BUNDLE_DEFINITION_TTL_SECONDS * 1000) {
+            return cached.definition
+        }
+    } catch (error) {
+        logger.warn('Failed to load cached bundle definition', { productId, error })
+    }
+
+    let definition = null
+
+    try {
+        const value = await getProductMetafield(productId, BUNDLE_METAFIELD_NAMESPACE, BUNDLE_METAFIELD_KEY, shopDomain, accessToken)
+        definition = value ? JSON.parse(value) : null
+
+        const problem = definition && getDefinitionProblem(definition)
+        if (problem) {
+            throw new Error(`Invalid bundle definition: ${problem}`)
+        }
+    } catch (error) {
+        // A broken or malformed metafield shouldn't take the bundle offline, bundles.json still applies
+        logger.error('Failed to read bundle definition metafield', { productId, error })
+        return null
+    }
+
+    try {
+        await store.set(key, { definition, cachedAt: Date.now() })
+    } catch (error) {
+        logger.warn('Failed to cache bundle definition', { productId, error })
+    }
+
+    return definition
+}
+
+// Metafields are edited by hand in the Shopify admin, so their shape is checked before any request relies on it
+// Returns what is wrong with a definition, or null when it is usable
+function getDefinitionProblem (definition) {
+    if (!isPlainObject(definition)) {
+        return 'must be a JSON object'
+    }
+
+    if (definition.name !== undefined && typeof definition.name !== 'string') {
+        return 'name must be a string'
+    }
+
+    if (!isPlainObject(definition.components) || Object.keys(definition.components).length === 0) {
+        return 'components must be an object with at least one product'
+    }
+
+    for (const [productName, component] of Object.entries(definition.components)) {
+        const options = isPlainObject(component) ? component.options : undefined
+
+        if (!Array.isArray(options) || options.length === 0 || !options.every(option => typeof option === 'string' && option !== '')) {
+            return `components[${JSON.stringify(productName)}].options must list the product's option names`
+        }
+    }
+
+    for (const limit of ['minComponents', 'maxComponents']) {
+        if (definition[limit] !== undefined && !(Number.isInteger(definition[limit]) && definition[limit] > 0)) {
+            return `${limit} must be a positive whole number`
+        }
+    }
+
+    if (definition.minComponents && definition.maxComponents && definition.minComponents > definition.maxComponents) {
+        return 'minComponents must not be more than maxComponents'
+    }
+
+    return null
+}
+
+function isPlainObject (value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Fill in the component count limits so callers never deal with missing fields
+function normalizeDefinition (definition, source, productId) {
+    const componentCount = Object.keys(definition.components || {}).length
+    const minComponents = definition.minComponents || 1
+
+    return {
+        productId: productId || null,
+        name: definition.name || 'Bundle',
+        source: source,
+        minComponents: minComponents,
+        maxComponents: definition.maxComponents || Math.max(minComponents, componentCount),
+        components: definition.components || {}
+    }
+}
+
+// Whether the definition belongs to a registered bundle product rather than the fallback for any product
+function isBundleProduct (bundleDefinition) {
+    return bundleDefinition.source !== 'default' || DEFAULT_BUNDLE_PRODUCT_IDS.includes(bundleDefinition.productId)
+}
+
+// Whether a cart line ({ name: value }) or order line ([{ name, value }]) is a component line of a bundle
+function isBundleComponentLine (properties) {
+    const entries = Array.isArray(properties)
+        ? properties.map(property => [property.name, property.value])
+        : Object.entries(properties || {})
+
+    return entries.some(([name, value]) => name === BUNDLE_COMPONENT_PROPERTY && value)
+}
+
+// Accept both numeric IDs and product GIDs
+function normalizeProductId (productId) {
+    if (productId === undefined || productId === null || productId === '') {
+        return null
+    }
+
+    return String(productId).replace('gid://shopify/Product/', '')
+}
+
+function cacheKey (shopDomain, productId) {
+    return `${shopDomain}/${productId}`
+}
+
+module.exports = {
+    BUNDLE_COMPONENT_PROPERTY,
+    getBundleDefinition,
+    invalidateBundleDefinition,
+    getComponentCountError,
+    getBundleErrors,
+    isBundleProduct,
+    isBundleComponentLine
+}
@@ -0,0 +1,385 @@
+// netlify/lib/catalog.js
+const fs = require('fs/promises')
+const { shopifyGraphQL, laterApiVersion } = require('./shopify')
+const { getApiVersion } = require('./shops')
+const { logger } = require('./logger')
+
+const SKU_MAPPING_VERSION = 1
+const TRANSLATIONS_VERSION = 1
+
+// Translatable resources take at most 250 IDs per request
+const TRANSLATABLE_RESOURCES_PAGE_SIZE = 250
+
+// Product options have optionValues with their own translatable IDs from this API version, older versions reject the field
+const OPTION_VALUES_API_VERSION = '2024-07'
+
+// Fetch products with their options and variants by exact title
+// Returns the same shape as a catalog fixture: [{ title, options: [name], variants: [{ sku, selectedOptions }] }]
+async function fetchCatalogProducts (titles, shopDomain, accessToken) {
+    const products = []
+
+    for (const title of titles) {
+        const data = await shopifyGraphQL(CATALOG_PRODUCTS_QUERY, {
+            query: `title:"${title.replace(/["\\]/g, '\\$&')}"`
+        }, shopDomain, accessToken)
+
+        // Title search is fuzzy, only keep the exact product
+        const product = data.products.edges.map(edge => edge.node).find(node => node.title === title)
+
+        if (!product) {
+            logger.warn('No product found with title', { title })
+            continue
+        }
+
+        products.push({
+            id: Number(product.legacyResourceId),
+            title: product.title,
+            options: product.options.map(option => option.name),
+            variants: product.variants.edges.map(({ node }) => ({
+                sku: node.sku,
+                selectedOptions: node.selectedOptions
+            }))
+        })
+    }
+
+    return products
+}
+
+// Load a catalog export written by fetchCatalogProducts (see scripts/generate-sku-mapping.js --dump)
+async function loadCatalogFixture (fixturePath) {
+    const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'))
+    return fixture.products
+}
+
+// Build the versioned SKU mapping file from catalog products
+// optionOrder maps a product title to the option names that form its variant key
+function buildSkuMapping (catalogProducts, optionOrder, source) {
+    const products = {}
+
+    for (const product of catalogProducts) {
+        const options = optionOrder[product.title] || product.options
+        const variants = {}
+
+        for (const variant of product.variants) {
+            if (!variant.sku) {
+                logger.warn('Skipping variant without SKU', { product: product.title, options: variant.selectedOptions })
+                continue
+            }
+
+            const key = buildVariantKey(variant.selectedOptions, options)
+
+            if (!key) {
+                logger.warn('Skipping variant that lacks one of the options', { product: product.title, sku: variant.sku, options })
+                continue
+            }
+
+            if (variants[key]) {
+                logger.warn('Duplicate variant key, keeping the first SKU', { product: product.title, key, kept: variants[key], skipped: variant.sku })
+                continue
+            }
+
+            variants[key] = variant.sku
+        }
+
+        products[product.title] = { options, variants }
+    }
+
+    return {
+        version: SKU_MAPPING_VERSION,
+        generatedAt: new Date().toISOString(),
+        source: source,
+        products
+    }
+}
+
+// Join selected option values in the given option order, the same key findSKUForProduct builds
+function buildVariantKey (selectedOptions, optionNames) {
+    const values = optionNames.map(optionName => {
+        const selected = selectedOptions.find(option => option.name === optionName)
+        return selected ? selected.value : null
+    })
+
+    return values.every(Boolean) ? values.join('|') : null
+}
+
+// Published locales other than the shop's primary one, the storefront languages that need a translation table
+async function fetchShopLocales (shopDomain, accessToken) {
+    const data = await shopifyGraphQL(SHOP_LOCALES_QUERY, {}, shopDomain, accessToken)
+    return data.shopLocales.filter(shopLocale => !shopLocale.primary).map(shopLocale => shopLocale.locale)
+}
+
+// Fetch each product's title, option names and option values in every locale, by exact title
+// Runs on the shop's API version or OPTION_VALUES_API_VERSION, whichever is later, since the query asks for optionValues
+// Returns the same shape as a translations fixture: [{ title, translations: { [locale]: { title, options: { [name]: { name, values } } } } }]
+async function fetchCatalogTranslations (titles, locales, shopDomain, accessToken) {
+    const products = []
+    const apiVersion = laterApiVersion(getApiVersion(shopDomain), OPTION_VALUES_API_VERSION)
+
+    for (const title of titles) {
+        const data = await shopifyGraphQL(CATALOG_OPTIONS_QUERY, {
+            query: `title:"${title.replace(/["\\]/g, '\\$&')}"`
+        }, shopDomain, accessToken, { apiVersion })
+
+        // Title search is fuzzy, only keep the exact product
+        const product = data.products.edges.map(edge => edge.node).find(node => node.title === title)
+
+        if (!product) {
+            logger.warn('No product found with title', { title })
+            continue
+        }
+
+        // Canonical text of every translatable resource of the product, by resource ID
+        const resources = { [product.id]: { type: 'title' } }
+
+        for (const option of product.options) {
+            resources[option.id] = { type: 'option', option: option.name }
+
+            for (const optionValue of option.optionValues) {
+                resources[optionValue.id] = { type: 'value', option: option.name, value: optionValue.name }
+            }
+        }
+
+        const translations = {}
+
+        for (const locale of locales) {
+            const localized = { options: {} }
+
+            for (const { resourceId, translations: resourceTranslations } of await fetchTranslatableResources(Object.keys(resources), locale, shopDomain, accessToken, apiVersion)) {
+                const resource = resources[resourceId]
+                const translation = resourceTranslations.find(candidate => candidate.key === (resource.type === 'title' ? 'title' : 'name'))
+
+                if (!translation || !translation.value) {
+                    continue
+                }
+
+                if (translation.outdated) {
+                    // The storefront still shows an outdated translation, so it's kept
+                    logger.warn('Outdated translation', { product: title, locale, value: translation.value })
+                }
+
+                if (resource.type === 'title') {
+                    localized.title = translation.value
+                    continue
+                }
+
+                const option = localized.options[resource.option] = localized.options[resource.option] || { values: {} }
+
+                if (resource.type === 'option') {
+                    option.name = translation.value
+                } else {
+                    option.values[resource.value] = translation.value
+                }
+            }
+
+            translations[locale] = localized
+        }
+
+        products.push({ title: product.title, translations })
+    }
+
+    return products
+}
+
+async function fetchTranslatableResources (resourceIds, locale, shopDomain, accessToken, apiVersion) {
+    const resources = []
+
+    for (let i = 0; i < resourceIds.length; i += TRANSLATABLE_RESOURCES_PAGE_SIZE) {
+        const data = await shopifyGraphQL(TRANSLATABLE_RESOURCES_QUERY, {
+            resourceIds: resourceIds.slice(i, i + TRANSLATABLE_RESOURCES_PAGE_SIZE),
+            locale
+        }, shopDomain, accessToken, { apiVersion })
+
+        resources.push(...data.translatableResourcesByIds.edges.map(edge => edge.node))
+    }
+
+    return resources
+}
+
+// Build the versioned translations file from fetched product translations
+// Only translated labels are kept, anything missing falls back to the canonical label at runtime
+function buildTranslations (translatedProducts, locales, source) {
+    const tables = {}
+
+    for (const locale of locales) {
+        const products = {}
+
+        for (const product of translatedProducts) {
+            const localized = product.translations[locale]
+
+            if (!localized) {
+                continue
+            }
+
+            const options = {}
+
+            for (const [optionName, option] of Object.entries(localized.options || {})) {
+                if (option.name || Object.keys(option.values || {}).length > 0) {
+                    options[optionName] = { name: option.name, values: option.values || {} }
+                }
+            }
+
+            if (localized.title || Object.keys(options).length > 0) {
+                products[product.title] = { title: localized.title, options }
+            }
+        }
+
+        tables[locale] = { products }
+    }
+
+    return {
+        version: TRANSLATIONS_VERSION,
+        generatedAt: new Date().toISOString(),
+        source: source,
+        locales: tables
+    }
+}
+
+// Cross-check a SKU mapping file against catalog products
+function auditSkuMapping (mapping, catalogProducts) {
+    const report = {
+        missingProducts: [],
+        orphanedSKUs: [],
+        unmappedVariants: [],
+        duplicateSKUs: [],
+        optionMismatches: []
+    }
+
+    // Every place each SKU is mapped, to find SKUs mapped more than once
+    const mappedLocations = {}
+
+    for (const [title, product] of Object.entries(mapping.products)) {
+        for (const [key, sku] of Object.entries(product.variants)) {
+            mappedLocations[sku] = mappedLocations[sku] || []
+            mappedLocations[sku].push({ product: title, key })
+        }
+
+        const catalogProduct = catalogProducts.find(candidate => candidate.title === title)
+
+        if (!catalogProduct) {
+            report.missingProducts.push(title)
+            continue
+        }
+
+        const catalogVariants = new Map(catalogProduct.variants.filter(variant => variant.sku).map(variant => [variant.sku, variant]))
+        const mappedSKUs = new Set(Object.values(product.variants))
+
+        for (const [key, sku] of Object.entries(product.variants)) {
+            const variant = catalogVariants.get(sku)
+
+            if (!variant) {
+                report.orphanedSKUs.push({ product: title, key, sku })
+                continue
+            }
+
+            const catalogKey = buildVariantKey(variant.selectedOptions, product.options)
+            if (catalogKey !== key) {
+                report.optionMismatches.push({ product: title, sku, mappedKey: key, catalogKey })
+            }
+        }
+
+        for (const variant of catalogProduct.variants) {
+            if (!variant.sku || !mappedSKUs.has(variant.sku)) {
+                report.unmappedVariants.push({
+                    product: title,
+                    sku: variant.sku || null,
+                    key: buildVariantKey(variant.selectedOptions, product.options)
+                })
+            }
+        }
+    }
+
+    for (const [sku, locations] of Object.entries(mappedLocations)) {
+        if (locations.length > 1) {
+            report.duplicateSKUs.push({ sku, mappedAt: locations })
+        }
+    }
+
+    return report
+}
+
+const CATALOG_PRODUCTS_QUERY = `
+    query CatalogProducts($query: String!) {
+        products(first: 10, query: $query) {
+            edges {
+                node {
+                    legacyResourceId
+                    title
+                    options {
+                        name
+                    }
+                    variants(first: 250) {
+                        edges {
+                            node {
+                                sku
+                                selectedOptions {
+                                    name
+                                    value
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`
+
+const SHOP_LOCALES_QUERY = `
+    query ShopLocales {
+        shopLocales(published: true) {
+            locale
+            primary
+        }
+    }
+`
+
+const CATALOG_OPTIONS_QUERY = `
+    query CatalogOptions($query: String!) {
+        products(first: 10, query: $query) {
+            edges {
+                node {
+                    id
+                    title
+                    options {
+                        id
+                        name
+                        optionValues {
+                            id
+                            name
+                        }
+                    }
+                }
+            }
+        }
+    }
+`
+
+const TRANSLATABLE_RESOURCES_QUERY = `
+    query TranslatableResources($resourceIds: [ID!]!, $locale: String!) {
+        translatableResourcesByIds(first: 250, resourceIds: $resourceIds) {
+            edges {
+                node {
+                    resourceId
+                    translations(locale: $locale) {
+                        key
+                        value
+                        outdated
+                    }
+                }
+            }
+        }
+    }
+`
+
+module.exports = {
+    SKU_MAPPING_VERSION,
+    TRANSLATIONS_VERSION,
+    fetchCatalogProducts,
+    fetchShopLocales,
+    fetchCatalogTranslations,
+    buildTranslations,
+    loadCatalogFixture,
+    buildSkuMapping,
+    buildVariantKey,
+    auditSkuMapping
+}
@@ -0,0 +1,27 @@
+// netlify/lib/cors.js
+const { getAllAllowedOrigins, normalizeOrigin } = require('./shops')
+const { REQUEST_ID_HEADER } = require('./logger')
+
+// CORS headers for a route serving the given methods
+// The request's origin is echoed back only when a registered shop allows it, and Vary keeps caches from mixing origins up
+function getCorsHeaders (event, methods) {
+    const origin = event.headers && event.headers.origin
+    const headers = {
+        'Access-Control-Allow-Headers': `Content-Type, X-Request-Timestamp, X-Request-Signature, ${REQUEST_ID_HEADER}`,
+        'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+        // Lets storefront scripts read the request ID to quote it in bug reports
+        'Access-Control-Expose-Headers': `${REQUEST_ID_HEADER}, Retry-After`,
+        'Access-Control-Max-Age': '86400', // 24 hours
+        'Vary': 'Origin'
+    }
+
+    if (origin && getAllAllowedOrigins().includes(normalizeOrigin(origin))) {
+        headers['Access-Control-Allow-Origin'] = origin
+    }
+
+    return headers
+}
+
+module.exports = {
+    getCorsHeaders
+}
@@ -0,0 +1,169 @@
+// netlify/lib/kv-store.js
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const blobs = require('@netlify/blobs')
+const { logger } = require('./logger')
+
+// Backend for stored data: 'blobs' (Netlify Blobs, default), 'file' or 'memory'
+// The file and memory backends are per function instance and lost on a cold start, so they are only for local runs
+// and have to be picked explicitly
+const KV_STORE_BACKEND = process.env.KV_STORE_BACKEND || 'blobs'
+const KV_STORE_DIR = process.env.KV_STORE_DIR || path.join(os.tmpdir(), 'blumaka-kv-store')
+
+// In-memory stores live for as long as the function instance stays warm
+const memoryStores = new Map()
+
+// Whether this instance has said it keeps data locally, once per process rather than once per store opened
+let reportedLocalBackend = false
+
+// Stores holding records rather than caches, read with strong consistency so a write is seen by the very next request
+const STRONGLY_CONSISTENT_STORES = ['reservations', 'order-adjustments', 'back-in-stock']
+
+// Open a named key-value store holding JSON values
+// Every backend exposes the same async get/set/delete interface, and list(prefix) for the keys starting with prefix
+// For writes that must not race, getVersioned(key) returns { value, version } or null, and setIfVersion(key, value, version)
+// only writes while the entry is still at that version, returning whether it did
+function getStore (name, event) {
+    if (['memory', 'file'].includes(KV_STORE_BACKEND) && !reportedLocalBackend) {
+        reportedLocalBackend = true
+        logger.warn('Using a local key-value store, data is not shared between instances', { backend: KV_STORE_BACKEND })
+    }
+
+    if (KV_STORE_BACKEND === 'memory') {
+        return createMemoryStore(name)
+    }
+
+    if (KV_STORE_BACKEND === 'file') {
+        return createFileStore(name)
+    }
+
+    if (KV_STORE_BACKEND !== 'blobs') {
+        throw new Error(`Unknown KV_STORE_BACKEND: ${KV_STORE_BACKEND}`)
+    }
+
+    return createBlobsStore(name, event)
+}
+
+// Netlify Blobs store
+// Throws outside a Netlify environment rather than quietly keeping data per instance, set KV_STORE_BACKEND for local runs
+function createBlobsStore (name, event) {
+    // Lambda-compatible functions have to hand the Blobs context over explicitly
+    if (event && event.blobs) {
+        blobs.connectLambda(event)
+    }
+
+    const store = blobs.getStore({
+        name,
+        consistency: STRONGLY_CONSISTENT_STORES.includes(name) ? 'strong' : 'eventual'
+    })
+
+    return {
+        get: key => store.get(key, { type: 'json' }),
+        set: (key, value) => store.setJSON(key, value),
+        delete: key => store.delete(key),
+        list: async prefix => (await store.list({ prefix })).blobs.map(blob => blob.key),
+        async getVersioned (key) {
+            const entry = await store.getWithMetadata(key, { type: 'json' })
+            return entry ? { value: entry.data, version: entry.etag } : null
+        },
+        async setIfVersion (key, value, version) {
+            return (await store.setJSON(key, value, { onlyIfMatch: version })).modified
+        }
+    }
+}
+
+// JSON file per key, for local development
+// The file's content is its version, which is only checked rather than locked, good enough for a single local process
+function createFileStore (name) {
+    const directory = path.join(KV_STORE_DIR, name)
+    const fileFor = key => path.join(directory, `${encodeURIComponent(key)}.json`)
+
+    async function read (key) {
+        try {
+            return await fs.readFile(fileFor(key), 'utf8')
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null
+            }
+            throw error
+        }
+    }
+
+    return {
+        async get (key) {
+            const content = await read(key)
+            return content === null ? null : JSON.parse(content)
+        },
+        async set (key, value) {
+            await fs.mkdir(directory, { recursive: true })
+            await fs.writeFile(fileFor(key), JSON.stringify(value))
+        },
+        async delete (key) {
+            await fs.rm(fileFor(key), { force: true })
+        },
+        async list (prefix) {
+            try {
+                return (await fs.readdir(directory))
+                    .filter(file => file.endsWith('.json'))
+                    .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+                    .filter(key => key.startsWith(prefix))
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return []
+                }
+                throw error
+            }
+        },
+        async getVersioned (key) {
+            const content = await read(key)
+            return content === null ? null : { value: JSON.parse(content), version: content }
+        },
+        async setIfVersion (key, value, version) {
+            if (await read(key) !== version) {
+                return false
+            }
+
+            await fs.writeFile(fileFor(key), JSON.stringify(value))
+            return true
+        }
+    }
+}
+
+// Plain Map, values are copied so callers cannot mutate what is stored
+function createMemoryStore (name) {
+    if (!memoryStores.has(name)) {
+        memoryStores.set(name, new Map())
+    }
+    const entries = memoryStores.get(name)
+
+    return {
+        async get (key) {
+            return entries.has(key) ? JSON.parse(entries.get(key)) : null
+        },
+        async set (key, value) {
+            entries.set(key, JSON.stringify(value))
+        },
+        async delete (key) {
+            entries.delete(key)
+        },
+        async list (prefix) {
+            return [...entries.keys()].filter(key => key.startsWith(prefix))
+        },
+        async getVersioned (key) {
+            return entries.has(key) ? { value: JSON.parse(entries.get(key)), version: entries.get(key) } : null
+        },
+        async setIfVersion (key, value, version) {
+            if (entries.get(key) !== version) {
+                return false
+            }
+
+            entries.set(key, JSON.stringify(value))
+            return true
+        }
+    }
+}
+
+module.exports = {
+    getStore
+}
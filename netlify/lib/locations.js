@@ -0,0 +1,132 @@
+// netlify/lib/locations.js
+const locationConfig = require('../config/locations.json')
+const { shopifyGraphQL } = require('./shopify')
+const { logger } = require('./logger')
+
+// Locations change rarely and the locations/* webhooks invalidate the cache, so keep them for an hour
+const LOCATIONS_CACHE_TTL_SECONDS = Number(process.env.LOCATIONS_CACHE_TTL_SECONDS) || 3600
+
+// Bumped whenever the cached location shape changes, so old entries are refetched
+const LOCATIONS_CACHE_VERSION = 2
+
+// Get the shop's locations, from the cache when it is fresh
+async function getLocations (shopDomain, accessToken, store) {
+    try {
+        const cached = await store.get(shopDomain)
+        if (cached && cached.version === LOCATIONS_CACHE_VERSION && Date.now() - cached.cachedAt < LOCATIONS_CACHE_TTL_SECONDS * 1000) {
+            return cached.locations
+        }
+    } catch (error) {
+        logger.warn('Failed to load cached locations', { shop: shopDomain, error })
+    }
+
+    const data = await shopifyGraphQL(LOCATIONS_QUERY, {}, shopDomain, accessToken)
+    const locations = data.locations.edges.map(({ node }) => ({
+        id: Number(node.legacyResourceId),
+        name: node.name,
+        active: node.isActive,
+        fulfillsOnlineOrders: node.fulfillsOnlineOrders,
+        countryCode: node.address.countryCode
+    }))
+
+    logger.debug('Fetched locations', { shop: shopDomain, locations })
+
+    try {
+        await store.set(shopDomain, { version: LOCATIONS_CACHE_VERSION, locations, cachedAt: Date.now() })
+    } catch (error) {
+        logger.warn('Failed to cache locations', { shop: shopDomain, error })
+    }
+
+    return locations
+}
+
+// The locations whose stock counts towards availability for this shop and shopper
+async function getCountedLocations (shopDomain, accessToken, store, countryCode) {
+    const locations = await getLocations(shopDomain, accessToken, store)
+    return selectCountedLocations(locations, shopDomain, countryCode)
+}
+
+// Same, for callers that already have the shop's locations
+function selectCountedLocations (locations, shopDomain, countryCode) {
+    return selectLocations(locations, getLocationRules(shopDomain), countryCode)
+}
+
+// Per-shop rules from config/locations.json, falling back to the defaults field by field
+function getLocationRules (shopDomain) {
+    return {
+        ...locationConfig.default,
+        ...(locationConfig.shops[shopDomain] || {})
+    }
+}
+
+// Apply location rules; countryLocations restricts a shopper's country to its own warehouses, e.g.
+// { "countries": ["DE", "FR"], "locations": [123] } only counts location 123 for German and French shoppers
+function selectLocations (locations, rules, countryCode) {
+    const countryGroup = countryCode
+        ? (rules.countryLocations || []).find(group => group.countries.includes(countryCode.toUpperCase()))
+        : null
+
+    return locations.filter(location => {
+        if (rules.onlyActive && !location.active) {
+            return false
+        }
+
+        if (rules.onlyOnlineFulfillment && !location.fulfillsOnlineOrders) {
+            return false
+        }
+
+        if (rules.include && rules.include.length > 0 && !rules.include.includes(location.id)) {
+            return false
+        }
+
+        if (rules.exclude && rules.exclude.includes(location.id)) {
+            return false
+        }
+
+        return !countryGroup || countryGroup.locations.includes(location.id)
+    })
+}
+
+// Where component stock for sold bundles is taken from: the configured adjustmentLocation,
+// otherwise the first location counted for the order's shipping country
+async function getAdjustmentLocation (shopDomain, accessToken, store, countryCode) {
+    const rules = getLocationRules(shopDomain)
+    const locations = await getLocations(shopDomain, accessToken, store)
+
+    if (rules.adjustmentLocation) {
+        return locations.find(location => location.id === rules.adjustmentLocation) || null
+    }
+
+    return selectLocations(locations, rules, countryCode)[0] || null
+}
+
+async function invalidateLocations (store, shopDomain) {
+    await store.delete(shopDomain)
+    logger.info('Cleared cached locations', { shop: shopDomain })
+}
+
+const LOCATIONS_QUERY = `
+    query Locations {
+        locations(first: 250, includeInactive: true, includeLegacy: true) {
+            edges {
+                node {
+                    legacyResourceId
+                    name
+                    isActive
+                    fulfillsOnlineOrders
+                    address {
+                        countryCode
+                    }
+                }
+            }
+        }
+    }
+`
+
+module.exports = {
+    getLocations,
+    getCountedLocations,
+    selectCountedLocations,
+    getAdjustmentLocation,
+    invalidateLocations
+}
@@ -0,0 +1,144 @@
+// netlify/lib/logger.js
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+
+// One JSON object per line, so the function logs can be filtered and aggregated by field
+// LOG_LEVEL picks the verbosity: debug logs every step of a check, info (the default) one summary line per request
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info
+
+// Header a request ID is returned in, and may be passed in with to correlate with the caller's own logs
+const REQUEST_ID_HEADER = 'X-Request-Id'
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+// The request being handled, so every line logged while handling it carries its ID without threading a logger through every call
+const requestContext = new AsyncLocalStorage()
+
+function write (level, message, fields = {}) {
+    if (LEVELS[level] < LOG_LEVEL) {
+        return
+    }
+
+    const request = requestContext.getStore()
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(request ? { requestId: request.requestId, function: request.functionName } : {}),
+        ...fields
+    }, serializeValue)
+
+    if (LEVELS[level] >= LEVELS.warn) {
+        console.error(line)
+    } else {
+        console.log(line)
+    }
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+}
+
+// Errors keep their message, status and stack instead of serializing to {}
+function serializeValue (key, value) {
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: value.message,
+            ...(value.status ? { status: value.status } : {}),
+            stack: value.stack
+        }
+    }
+
+    return value
+}
+
+// Wrap a Netlify function handler: the request gets an ID, returned in the X-Request-Id header,
+// and one summary line when it's done with its status, duration, the span totals and any fields added with addRequestFields
+function withRequestLogging (functionName, handler) {
+    return async (event, context) => {
+        const request = {
+            requestId: getRequestId(event, context),
+            functionName,
+            startedAt: Date.now(),
+            fields: {},
+            spans: {}
+        }
+
+        return requestContext.run(request, async () => {
+            let response
+
+            try {
+                response = await handler(event, context)
+            } catch (error) {
+                logger.error('Unhandled error', { error })
+                throw error
+            }
+
+            const summary = {
+                method: event.httpMethod,
+                status: response.statusCode,
+                durationMs: Date.now() - request.startedAt,
+                ...request.fields,
+                spans: request.spans
+            }
+
+            // Preflights are noise at the default level
+            write(event.httpMethod === 'OPTIONS' ? 'debug' : 'info', `${event.httpMethod} ${functionName}`, summary)
+
+            return {
+                ...response,
+                headers: { ...response.headers, [REQUEST_ID_HEADER]: request.requestId }
+            }
+        })
+    }
+}
+
+// A caller's own ID when it sends a sane one, then Netlify's, then a fresh one
+function getRequestId (event, context) {
+    const headers = event.headers || {}
+    const candidates = [headers['x-request-id'], headers['x-nf-request-id'], context && context.awsRequestId]
+
+    return candidates.find(candidate => typeof candidate === 'string' && REQUEST_ID_PATTERN.test(candidate)) || crypto.randomUUID()
+}
+
+// Fields for the current request's summary line, e.g. the shop and whether the bundle was available
+function addRequestFields (fields) {
+    const request = requestContext.getStore()
+
+    if (request) {
+        Object.assign(request.fields, fields)
+    }
+}
+
+// Time one outbound call, e.g. a Shopify request
+// end() logs the span at debug (warn when it failed) and adds it to the request summary's per-name count and total duration
+function startSpan (name, fields = {}) {
+    const startedAt = Date.now()
+
+    return {
+        end (resultFields = {}, level = 'debug') {
+            const durationMs = Date.now() - startedAt
+            const request = requestContext.getStore()
+
+            if (request) {
+                const totals = request.spans[name] || (request.spans[name] = { count: 0, durationMs: 0 })
+                totals.count++
+                totals.durationMs += durationMs
+            }
+
+            write(level, name, { span: name, ...fields, ...resultFields, durationMs })
+        }
+    }
+}
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    logger,
+    withRequestLogging,
+    addRequestFields,
+    startSpan
+}
@@ -0,0 +1,73 @@
+// netlify/lib/mailer.js
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const { logger } = require('./logger')
+
+// How mail leaves the function: 'http', or 'console' and 'file' for local runs
+// There is no default, without a transport nothing is sent and back-in-stock subscriptions are refused
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || ''
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@blumaka.com'
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'blumaka-outbox')
+
+// Every transport takes { to, subject, text } and resolves once the message is handed over
+// Recipients and message bodies are personal data, so transports never log them
+const TRANSPORTS = {
+    console: sendToConsole,
+    file: sendToFile,
+    http: sendOverHTTP
+}
+
+// Whether mail can be sent at all, checked before promising a shopper an email
+function isMailConfigured () {
+    return Boolean(TRANSPORTS[MAIL_TRANSPORT])
+}
+
+async function sendMail (message) {
+    const transport = TRANSPORTS[MAIL_TRANSPORT]
+
+    if (!transport) {
+        throw new Error(MAIL_TRANSPORT ? `Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}` : 'MAIL_TRANSPORT is not set')
+    }
+
+    await transport({ from: MAIL_FROM, ...message })
+}
+
+async function sendToConsole (message) {
+    logger.info('Mail', { subject: message.subject })
+}
+
+// One JSON file per message, handy for checking templates locally
+async function sendToFile (message) {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true })
+    const file = path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${crypto.randomUUID()}.json`)
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 4))
+    logger.info('Wrote mail', { file })
+}
+
+// POSTs the message as JSON to MAIL_HTTP_URL, e.g. a mail provider's send API or an automation webhook
+async function sendOverHTTP (message) {
+    const url = process.env.MAIL_HTTP_URL
+
+    if (!url) {
+        throw new Error('MAIL_HTTP_URL is not set')
+    }
+
+    const headers = { 'Content-Type': 'application/json' }
+
+    if (process.env.MAIL_HTTP_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.MAIL_HTTP_TOKEN}`
+    }
+
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(message) })
+
+    if (!response.ok) {
+        throw new Error(`Mail request failed: ${response.status} ${response.statusText}`)
+    }
+}
+
+module.exports = {
+    isMailConfigured,
+    sendMail
+}
@@ -0,0 +1,62 @@
+// netlify/lib/normalize.js
+
+// Themes and apps rewrite property text in small ways: curly quotes, dropped or added ® and ™, en dashes,
+// doubled spaces, spaces around the "|" in size labels, different casing. Canonical keys erase those differences,
+// so "nonslip ‘foamlock’ performance insoles" finds "NonSlip 'FoamLock' Performance Insoles"
+function canonicalKey (text) {
+    return String(text)
+        .replace(/[®™©]/g, '')
+        .normalize('NFKC')
+        .replace(/[‘’‚‛′`´]/g, "'")
+        .replace(/[“”„‟″]/g, '"')
+        .replace(/[‐-―−]/g, '-')
+        .replace(/\s*\|\s*/g, ' | ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase()
+}
+
+// Canonical key -> the exact spelling the mapping and bundle definitions use
+function buildLookup (values) {
+    return new Map(values.map(value => [canonicalKey(value), value]))
+}
+
+// Line item properties come as a flat object from /cart.js and storefront forms,
+// or as Shopify's [{ name, value }] array from orders and the Storefront API
+function toPropertyEntries (properties) {
+    if (Array.isArray(properties)) {
+        return properties
+            .filter(property => property && property.name)
+            .map(property => [property.name, property.value])
+    }
+
+    return Object.entries(properties || {})
+}
+
+// Property names read "<Product Name>[ #n]: <Option>", the index tells apart two slots of the same product
+function parsePropertyName (name) {
+    const match = String(name).match(/^(.+?)(?:\s*#\s*(\d+))?\s*:\s*(.+)$/)
+
+    if (!match) {
+        return null
+    }
+
+    return {
+        productName: match[1].trim(),
+        componentIndex: match[2] ? Number(match[2]) : 1,
+        hasIndex: Boolean(match[2]),
+        optionName: match[3].trim()
+    }
+}
+
+function formatPropertyLabel (productName, componentIndex, hasIndex) {
+    return hasIndex ? `${productName} #${componentIndex}` : productName
+}
+
+module.exports = {
+    canonicalKey,
+    buildLookup,
+    toPropertyEntries,
+    parsePropertyName,
+    formatPropertyLabel
+}
@@ -0,0 +1,242 @@
+// netlify/lib/order-inventory.js
+const { adjustInventoryQuantities } = require('./shopify')
+const { getIndexedVariants } = require('./sku-index')
+const { getAdjustmentLocation } = require('./locations')
+const { parseBundleProperties, sumQuantitiesBySKU, isComponentSKU } = require('./product-mapping')
+const { getBundleDefinition, getBundleErrors, isBundleProduct, isBundleComponentLine } = require('./bundle-definitions')
+const { logger } = require('./logger')
+
+// Bundles are sold as their own product, so Shopify only decrements the bundle SKU and the component stock is adjusted here
+// Each order gets one record in the adjustments store, with every inventory adjustment made for it: the one taking the
+// components and one per cancel or refund putting some back, so webhook retries find theirs and cancels and refunds
+// put back exactly what the order took, never more
+//   { locationId, lines: { [lineItemId]: { quantity, reversedQuantity, components } },
+//     adjustments: { [adjustmentId]: { status: 'pending' | 'applied', reason, changes } } }
+// An adjustment is saved as pending before it is sent and is sent with an idempotency key made from its ID, so whatever
+// interrupts it (a failed request, a crash, a lost write) the next delivery sends the same adjustment again and
+// Shopify applies it once
+const ORDER_ADJUSTMENT_ID = 'order'
+
+// Take the component units of every bundle line in a new order
+async function applyOrderAdjustment (order, shopDomain, accessToken, stores) {
+    const key = recordKey(shopDomain, order.id)
+    let record = await stores.adjustments.get(key)
+
+    if (!record) {
+        const lines = await getBundleLines(order, shopDomain, accessToken, stores)
+
+        if (Object.keys(lines).length === 0) {
+            return
+        }
+
+        const countryCode = order.shipping_address && order.shipping_address.country_code
+        const location = await getAdjustmentLocation(shopDomain, accessToken, stores.locationCache, countryCode)
+
+        if (!location) {
+            throw new Error(`No location to adjust component inventory at for order ${order.id}`)
+        }
+
+        record = {
+            locationId: location.id,
+            lines,
+            adjustments: {
+                [ORDER_ADJUSTMENT_ID]: {
+                    status: 'pending',
+                    reason: 'correction',
+                    changes: getChanges(lines, lineItemId => lines[lineItemId].quantity, -1)
+                }
+            },
+            createdAt: new Date().toISOString()
+        }
+
+        await stores.adjustments.set(key, record)
+    }
+
+    await sendAdjustment(key, record, ORDER_ADJUSTMENT_ID, order.id, shopDomain, accessToken, stores)
+}
+
+// Put back everything a cancelled order took that hasn't been put back yet
+async function reverseOrderAdjustment (order, shopDomain, accessToken, stores) {
+    await reverse(shopDomain, order.id, 'cancel', accessToken, stores, record => Object.fromEntries(
+        Object.entries(record.lines).map(([lineItemId, line]) => [lineItemId, line.quantity])
+    ))
+}
+
+// Only restocked refund lines come back, a refund without a return leaves the components gone
+async function reverseRefundAdjustment (refund, shopDomain, accessToken, stores) {
+    await reverse(shopDomain, refund.order_id, `refund-${refund.id}`, accessToken, stores, () => Object.fromEntries(
+        (refund.refund_line_items || [])
+            .filter(refundLine => refundLine.restock_type !== 'no_restock')
+            .map(refundLine => [String(refundLine.line_item_id), refundLine.quantity])
+    ))
+}
+
+// Put back up to the requested bundle quantity per line, capped at what the line still has out
+async function reverse (shopDomain, orderId, adjustmentId, accessToken, stores, getRequestedQuantities) {
+    const key = recordKey(shopDomain, orderId)
+    const record = await stores.adjustments.get(key)
+
+    if (!record) {
+        return
+    }
+
+    // Nothing can go back before the components were taken, Shopify retries this delivery once they are
+    if (record.adjustments[ORDER_ADJUSTMENT_ID].status !== 'applied') {
+        throw new Error(`Components of order ${orderId} are still being taken from inventory`)
+    }
+
+    // Earlier reversals left pending are finished first, their quantities already count as put back
+    for (const [pendingId, adjustment] of Object.entries(record.adjustments)) {
+        if (pendingId !== adjustmentId && adjustment.status === 'pending') {
+            await sendAdjustment(key, record, pendingId, orderId, shopDomain, accessToken, stores)
+        }
+    }
+
+    if (!record.adjustments[adjustmentId]) {
+        const requested = getRequestedQuantities(record)
+        const reversedQuantities = {}
+
+        for (const [lineItemId, quantity] of Object.entries(requested)) {
+            const line = record.lines[lineItemId]
+
+            if (line) {
+                reversedQuantities[lineItemId] = Math.min(quantity, line.quantity - line.reversedQuantity)
+            }
+        }
+
+        const changes = getChanges(record.lines, lineItemId => reversedQuantities[lineItemId] || 0, 1)
+
+        if (changes.length === 0) {
+            return
+        }
+
+        for (const [lineItemId, quantity] of Object.entries(reversedQuantities)) {
+            record.lines[lineItemId].reversedQuantity += quantity
+        }
+
+        record.adjustments[adjustmentId] = { status: 'pending', reason: 'restock', changes }
+        await stores.adjustments.set(key, record)
+    }
+
+    await sendAdjustment(key, record, adjustmentId, orderId, shopDomain, accessToken, stores)
+}
+
+// Send a recorded adjustment unless it is already applied, and record that it is
+// A failure leaves it pending for the next delivery to send again under the same key
+async function sendAdjustment (key, record, adjustmentId, orderId, shopDomain, accessToken, stores) {
+    const adjustment = record.adjustments[adjustmentId]
+
+    if (adjustment.status === 'applied') {
+        logger.info('Order inventory adjustment already applied', { orderId, adjustmentId })
+        return
+    }
+
+    await adjustInventoryQuantities(
+        adjustment.changes,
+        record.locationId,
+        adjustment.reason,
+        orderUri(orderId),
+        `order-${orderId}-${adjustmentId}`,
+        shopDomain,
+        accessToken
+    )
+
+    adjustment.status = 'applied'
+    await stores.adjustments.set(key, record)
+
+    logger.info(adjustment.reason === 'restock' ? 'Put back bundle components' : 'Took bundle components from inventory', {
+        orderId,
+        adjustmentId,
+        changes: adjustment.changes
+    })
+}
+
+// Bundle line items of an order with the component units one bundle of that line contains
+// Only lines of registered bundle products that make a complete bundle count: component lines of a bundle sold as
+// separate variants (marked, or holding a component SKU themselves) already took their own stock
+// Untracked components are left out, Shopify has no quantity to adjust for them
+async function getBundleLines (order, shopDomain, accessToken, stores) {
+    const lines = {}
+
+    for (const lineItem of order.line_items || []) {
+        if (!lineItem.properties || lineItem.properties.length === 0 || isBundleComponentLine(lineItem.properties) || isComponentSKU(lineItem.sku)) {
+            continue
+        }
+
+        const bundleDefinition = await getBundleDefinition(lineItem.product_id, shopDomain, accessToken, stores.bundleDefinitions)
+
+        if (!isBundleProduct(bundleDefinition)) {
+            continue
+        }
+
+        // Storefronts add the properties in the shopper's labels
+        const { lineItems, errors } = parseBundleProperties(lineItem.properties, bundleDefinition, { locale: order.customer_locale })
+        const bundleErrors = getBundleErrors(lineItems, errors, bundleDefinition)
+
+        // Adjusting part of a bundle would take stock the order may never have held, so the line is left to the shop
+        if (bundleErrors.length > 0) {
+            logger.warn('Order line is not a complete bundle, components not adjusted', {
+                orderId: order.id,
+                lineItemId: lineItem.id,
+                errors: bundleErrors.map(error => error.code)
+            })
+            continue
+        }
+
+        lines[String(lineItem.id)] = { quantity: lineItem.quantity, reversedQuantity: 0, components: sumQuantitiesBySKU(lineItems) }
+    }
+
+    const skus = Object.values(lines).flatMap(line => line.components.map(component => component.sku))
+    const variantsBySKU = await getIndexedVariants(skus, shopDomain, accessToken, stores.skuIndex)
+
+    for (const [lineItemId, line] of Object.entries(lines)) {
+        line.components = line.components
+            .filter(component => {
+                const variant = variantsBySKU[component.sku]
+
+                if (!variant) {
+                    logger.warn('No variant for order component SKU', { orderId: order.id, lineItemId, sku: component.sku })
+                }
+
+                return variant && variant.inventory_management === 'shopify'
+            })
+            .map(component => ({ ...component, inventoryItemId: variantsBySKU[component.sku].inventory_item_id }))
+
+        if (line.components.length === 0) {
+            delete lines[lineItemId]
+        }
+    }
+
+    return lines
+}
+
+// One change per inventory item, summed over lines
+function getChanges (lines, getBundleQuantity, sign) {
+    const deltas = {}
+
+    for (const [lineItemId, line] of Object.entries(lines)) {
+        const bundleQuantity = getBundleQuantity(lineItemId)
+
+        for (const component of line.components) {
+            deltas[component.inventoryItemId] = (deltas[component.inventoryItemId] || 0) + sign * component.quantity * bundleQuantity
+        }
+    }
+
+    return Object.entries(deltas)
+        .filter(([, delta]) => delta !== 0)
+        .map(([inventoryItemId, delta]) => ({ inventoryItemId: Number(inventoryItemId), delta }))
+}
+
+function recordKey (shopDomain, orderId) {
+    return `${shopDomain}/${orderId}`
+}
+
+function orderUri (orderId) {
+    return `gid://shopify/Order/${orderId}`
+}
+
+module.exports = {
+    applyOrderAdjustment,
+    reverseOrderAdjustment,
+    reverseRefundAdjustment
+}
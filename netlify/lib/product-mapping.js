@@ -0,0 +1,310 @@
+// netlify/lib/product-mapping.js
+const skuMapping = require('../config/sku-mapping.json')
+const { canonicalKey, buildLookup, toPropertyEntries, parsePropertyName, formatPropertyLabel } = require('./normalize')
+const { getTranslator } = require('./translations')
+const { SIZE_OPTION, resolveSizeLabel } = require('./sizes')
+const { apiError, fieldPath } = require('./responses')
+const { logger } = require('./logger')
+
+// Product SKU mapping: product title -> variant key -> SKU
+// Regenerate config/sku-mapping.json with scripts/generate-sku-mapping.js
+const PRODUCT_SKU_MAPPING = Object.fromEntries(
+    Object.entries(skuMapping.products).map(([title, product]) => [title, product.variants])
+)
+
+const COMPONENT_SKUS = new Set(Object.values(PRODUCT_SKU_MAPPING).flatMap(variants => Object.values(variants)))
+
+logger.debug('Loaded SKU mapping', { version: skuMapping.version, source: skuMapping.source, generatedAt: skuMapping.generatedAt })
+
+// Parse bundle properties and convert to SKU-based line items
+// Only products listed as components of the bundle definition are resolved
+// Product names, option names and values are matched loosely (see normalize.js) and come back in their canonical spelling
+// Localized storefronts pass their locale, their labels are translated back to the canonical ones first
+// A plain size answer ("US M 9.5", "EU 42") fills in every component that has no size of its own, resolved to each product's bucket
+// Returns { lineItems, errors }, one error (see responses.js) per component that couldn't be resolved
+function parseBundleProperties (properties, bundleDefinition, { locale, size } = {}) {
+    const lineItems = []
+    const errors = []
+    const componentNames = buildLookup(Object.keys(bundleDefinition.components))
+    const translator = getTranslator(locale)
+
+    // Group properties by product, one group per component slot
+    const productGroups = groupPropertiesByProduct(properties)
+
+    for (const group of Object.values(productGroups)) {
+        logger.debug('Processing product', { label: group.label, options: group.options })
+
+        const productName = componentNames.get(canonicalKey(translator.toCanonicalProduct(group.productName)))
+        if (!productName || !PRODUCT_SKU_MAPPING[productName]) {
+            logger.debug('Not a mapped component of the bundle', { product: group.productName, bundle: bundleDefinition.name })
+            errors.push(apiError('UNMAPPED_PRODUCT', `${group.productName} is not part of ${bundleDefinition.name}`, propertyField(Object.values(group.keys)[0]), {
+                product: group.productName
+            }))
+            continue
+        }
+
+        const component = bundleDefinition.components[productName]
+        const { componentIndex } = group
+        const label = formatPropertyLabel(productName, componentIndex, group.hasIndex)
+        const { options, fields } = canonicalizeOptions(productName, group, component.options, translator)
+
+        if (size !== undefined && options[SIZE_OPTION] === undefined && component.options.includes(SIZE_OPTION)) {
+            options[SIZE_OPTION] = resolveSize(productName, component.options, size)
+            fields[SIZE_OPTION] = 'size'
+
+            if (!options[SIZE_OPTION]) {
+                errors.push(apiError('VARIANT_NOT_FOUND', `No ${productName} size fits ${JSON.stringify(size)}`, 'size', {
+                    product: productName,
+                    option: SIZE_OPTION,
+                    value: size
+                }))
+                continue
+            }
+        }
+
+        const quantity = parseComponentQuantity(options[QUANTITY_OPTION])
+        if (!quantity) {
+            logger.debug('Invalid component quantity', { label, quantity: options[QUANTITY_OPTION] })
+            errors.push(apiError('INVALID_COMPONENT_QUANTITY', `${label} quantity must be a positive whole number`, fields[QUANTITY_OPTION], {
+                product: productName,
+                value: options[QUANTITY_OPTION]
+            }))
+            continue
+        }
+
+        const optionError = getOptionError(productName, label, options, fields, component.options)
+        if (optionError) {
+            logger.debug(optionError.message, { options })
+            errors.push(optionError)
+            continue
+        }
+
+        const sku = findSKUForProduct(productName, options, component.options)
+        if (sku) {
+            lineItems.push({
+                sku: sku,
+                quantity: quantity,
+                productName: productName,
+                componentIndex: componentIndex,
+                properties: convertToOriginalProperties(label, options)
+            })
+            logger.debug('Found SKU', { sku, quantity, label })
+        } else {
+            logger.debug('No SKU found', { label, options })
+            errors.push(apiError('VARIANT_NOT_FOUND', `${productName} isn't available as ${component.options.map(optionName => options[optionName]).join(' / ')}`, 'properties', {
+                product: productName,
+                options: Object.fromEntries(component.options.map(optionName => [optionName, options[optionName]]))
+            }))
+        }
+    }
+
+    return { lineItems, errors }
+}
+
+// Whether a SKU is one of the mapped component variants, e.g. a line holding a component rather than a bundle
+function isComponentSKU (sku) {
+    return Boolean(sku) && COMPONENT_SKUS.has(sku)
+}
+
+// The first option of a component that is missing or has a value the product doesn't come in
+function getOptionError (productName, label, options, fields, optionNames) {
+    const knownValues = getOptionValueLookups(productName, optionNames)
+
+    for (const optionName of optionNames) {
+        const value = options[optionName]
+
+        if (value === undefined || value === null || value === '') {
+            return apiError('MISSING_OPTION', `Select ${optionName} for ${label}`, fields[optionName] || propertyField(`${label}: ${optionName}`), {
+                product: productName,
+                option: optionName
+            })
+        }
+
+        if (!knownValues[optionName].has(canonicalKey(value))) {
+            return apiError('VARIANT_NOT_FOUND', `${productName} doesn't come in ${optionName} ${JSON.stringify(value)}`, fields[optionName], {
+                product: productName,
+                option: optionName,
+                value: value
+            })
+        }
+    }
+
+    return null
+}
+
+function propertyField (propertyName) {
+    return fieldPath(['properties', propertyName])
+}
+
+// Optional per-component option holding how many units of that component the bundle contains
+const QUANTITY_OPTION = 'Quantity'
+
+// Group properties by product name and component index
+// "Max Comfort Insoles: Size" and "Max Comfort Insoles #2: Size" are two separate components
+function groupPropertiesByProduct (properties) {
+    const groups = {}
+
+    for (const [key, value] of toPropertyEntries(properties)) {
+        const parsed = parsePropertyName(key)
+        if (parsed) {
+            const { productName, componentIndex, hasIndex, optionName } = parsed
+            const groupKey = `${canonicalKey(productName)} #${componentIndex}`
+
+            if (!groups[groupKey]) {
+                groups[groupKey] = {
+                    label: formatPropertyLabel(productName, componentIndex, hasIndex),
+                    productName,
+                    componentIndex,
+                    // Kept so the canonical label carries an index only when the shopper's did
+                    hasIndex,
+                    options: {},
+                    // Property name each option came from, to point errors at it
+                    keys: {}
+                }
+            }
+            groups[groupKey].options[optionName] = value
+            groups[groupKey].keys[optionName] = key
+        }
+    }
+
+    return groups
+}
+
+// Map a group's option names and values onto the spelling the bundle definition and SKU mapping use
+// Unknown options and values are kept as sent, they simply won't match a SKU
+// Returns the options and, per canonical option name, the request field it came from
+function canonicalizeOptions (productName, group, optionNames, translator) {
+    const names = buildLookup([...optionNames, QUANTITY_OPTION])
+    const values = getOptionValueLookups(productName, optionNames)
+    const options = {}
+    const fields = {}
+
+    for (const [optionName, value] of Object.entries(group.options)) {
+        const name = names.get(canonicalKey(translator.toCanonicalOption(productName, optionName))) || optionName
+        const valueLookup = values[name]
+        options[name] = (valueLookup && valueLookup.get(canonicalKey(translator.toCanonicalValue(productName, name, value)))) || value
+        fields[name] = propertyField(group.keys[optionName])
+
+        // A size that isn't one of the product's labels may still be a plain size, e.g. "9.5" or "EU 42"
+        if (name === SIZE_OPTION && valueLookup && !valueLookup.has(canonicalKey(options[name]))) {
+            options[name] = resolveSize(productName, optionNames, value) || value
+        }
+    }
+
+    return { options, fields }
+}
+
+// The product's size bucket for a plain size, or null when it fits none
+function resolveSize (productName, optionNames, size) {
+    const labels = [...getOptionValueLookups(productName, optionNames)[SIZE_OPTION].values()]
+    const label = resolveSizeLabel(size, labels)
+
+    if (label) {
+        logger.debug('Resolved size', { product: productName, size, label })
+        return label
+    }
+
+    logger.debug('No size fits', { product: productName, size })
+    return null
+}
+
+// Known values of every option of a product, built once per product and option order
+const optionValueLookups = new Map()
+
+function getOptionValueLookups (productName, optionNames) {
+    const cacheKey = `${productName}|${optionNames.join('|')}`
+
+    if (!optionValueLookups.has(cacheKey)) {
+        const combinations = getProductCombinations(productName, optionNames)
+        optionValueLookups.set(cacheKey, Object.fromEntries(optionNames.map(optionName => [
+            optionName,
+            buildLookup(combinations.map(combination => combination.options[optionName]).filter(Boolean))
+        ])))
+    }
+
+    return optionValueLookups.get(cacheKey)
+}
+
+// Missing quantity means one unit; anything else has to be a positive whole number
+function parseComponentQuantity (value) {
+    if (value === undefined || value === null || value === '') {
+        return 1
+    }
+
+    const quantity = Number(value)
+    return Number.isInteger(quantity) && quantity > 0 ? quantity : null
+}
+
+// Sum demand per SKU, so a SKU used by several components is checked against its combined quantity
+function sumQuantitiesBySKU (lineItems, multiplier = 1) {
+    const demand = {}
+
+    for (const item of lineItems) {
+        demand[item.sku] = (demand[item.sku] || 0) + item.quantity * multiplier
+    }
+
+    return Object.entries(demand).map(([sku, quantity]) => ({ sku, quantity }))
+}
+
+// Find SKU for a specific product and options
+// The variant key joins the selected option values in the order the bundle definition lists them
+function findSKUForProduct (productName, selectedOptions, optionNames) {
+    const productMapping = PRODUCT_SKU_MAPPING[productName]
+
+    if (!productMapping) {
+        logger.debug('No SKU mapping found for product', { product: productName })
+        return null
+    }
+
+    const optionValues = optionNames.map(optionName => selectedOptions[optionName])
+    const variantKey = optionValues.every(Boolean) ? optionValues.join('|') : undefined
+
+    if (variantKey && productMapping[variantKey]) {
+        return productMapping[variantKey]
+    }
+
+    logger.debug('No SKU mapping found for key', { product: productName, key: variantKey, availableKeys: Object.keys(productMapping) })
+
+    return null
+}
+
+// Every mapped option combination of a product, with the SKU it resolves to
+function getProductCombinations (productName, optionNames) {
+    const productMapping = PRODUCT_SKU_MAPPING[productName] || {}
+
+    return Object.entries(productMapping).map(([variantKey, sku]) => ({
+        options: splitVariantKey(variantKey, optionNames),
+        sku: sku
+    }))
+}
+
+// Options are joined with a bare "|", size labels use " | " inside a single value
+// ("Max Cushion|Low|Men's 9-9.5 | Women's 10-10.5"), so only split on pipes without spaces around them
+function splitVariantKey (variantKey, optionNames) {
+    const values = variantKey.split(/(?<! )\|(?! )/)
+    return Object.fromEntries(optionNames.map((optionName, index) => [optionName, values[index]]))
+}
+
+// Convert selected options back to Shopify properties array format
+function convertToOriginalProperties (productName, selectedOptions) {
+    const properties = []
+
+    for (const [optionType, value] of Object.entries(selectedOptions)) {
+        const propertyName = `${productName}: ${optionType}`
+        properties.push({
+            name: propertyName,
+            value: value
+        })
+    }
+
+    return properties
+}
+
+module.exports = {
+    PRODUCT_SKU_MAPPING,
+    parseBundleProperties,
+    convertToOriginalProperties,
+    sumQuantitiesBySKU,
+    isComponentSKU,
+    getProductCombinations
+}
@@ -0,0 +1,58 @@
+// netlify/lib/rate-limit.js
+const { logger } = require('./logger')
+
+// Requests one client IP may make per window
+const RATE_LIMIT_REQUESTS = Number(process.env.RATE_LIMIT_REQUESTS) || 60
+const RATE_LIMIT_WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60
+
+// Forget idle clients once this many are tracked, so the log can't grow without bound
+const MAX_TRACKED_CLIENTS = 10000
+
+// Recent request times per client IP, in memory, so every warm function instance counts on its own
+const requestLog = new Map()
+
+// Sliding window limit per client IP
+// Returns { allowed: true } or { allowed: false, retryAfter } with the seconds until the oldest request leaves the window
+function checkRateLimit (event) {
+    const now = Date.now()
+    const windowStart = now - RATE_LIMIT_WINDOW_SECONDS * 1000
+    const clientIP = getClientIP(event)
+
+    if (requestLog.size > MAX_TRACKED_CLIENTS) {
+        for (const [ip, times] of requestLog) {
+            if (times[times.length - 1] <= windowStart) {
+                requestLog.delete(ip)
+            }
+        }
+    }
+
+    const times = (requestLog.get(clientIP) || []).filter(time => time > windowStart)
+
+    if (times.length >= RATE_LIMIT_REQUESTS) {
+        requestLog.set(clientIP, times)
+        logger.warn('Rate limited', { ip: clientIP, requests: times.length, windowSeconds: RATE_LIMIT_WINDOW_SECONDS })
+
+        return {
+            allowed: false,
+            retryAfter: Math.max(1, Math.ceil((times[0] - windowStart) / 1000))
+        }
+    }
+
+    times.push(now)
+    requestLog.set(clientIP, times)
+
+    return { allowed: true }
+}
+
+// Netlify puts the real client address in x-nf-client-connection-ip
+function getClientIP (event) {
+    const headers = event.headers || {}
+    const forwardedFor = headers['x-forwarded-for']
+
+    return headers['x-nf-client-connection-ip'] || (forwardedFor && forwardedFor.split(',')[0].trim()) || 'unknown'
+}
+
+module.exports = {
+    checkRateLimit,
+    getClientIP
+}
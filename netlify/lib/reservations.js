@@ -0,0 +1,232 @@
+// netlify/lib/reservations.js
+const crypto = require('crypto')
+const { logger } = require('./logger')
+
+// Long enough to get from the bundle builder through checkout, short enough that abandoned holds free up quickly
+const RESERVATION_TTL_SECONDS = Number(process.env.RESERVATION_TTL_SECONDS) || 900
+
+// Cart attribute or line item property the storefront stores the reservation ID in, so the order webhook can release it
+const RESERVATION_ATTRIBUTE = process.env.RESERVATION_ATTRIBUTE || '_bundle_reservation'
+
+// Caps so one client can't hold the shop's stock in rolling windows: units per reservation and active reservations per client
+const RESERVATION_MAX_UNITS = Number(process.env.RESERVATION_MAX_UNITS) || 20
+const RESERVATION_MAX_PER_CLIENT = Number(process.env.RESERVATION_MAX_PER_CLIENT) || 3
+
+// Every hold is its own entry, "<shop>/<reservationId>/<write ID>", so concurrent reservations never overwrite each other
+// Replacing a hold writes a new entry before dropping the old one, and cleaning up an expired entry can't remove its replacement
+// Entries are never rewritten, so a hold loaded once can be reused for the rest of the request (see loadHolds)
+
+// Units held by active reservations per SKU, ignoring the caller's own reservations
+// holds reuses a scan the caller already made, otherwise the shop's holds are loaded
+// A broken store must not fail the stock check, it only means holds aren't subtracted
+async function getReservedQuantities (store, shopDomain, excludeReservationIds = [], holds = null) {
+    if (!holds) {
+        try {
+            holds = await loadHolds(store, shopDomain)
+        } catch (error) {
+            logger.warn('Failed to load reservations', { shop: shopDomain, error })
+            return {}
+        }
+    }
+
+    return sumHeldQuantities(holds.filter(hold => !excludeReservationIds.includes(hold.reservationId)))
+}
+
+// Active reservations a client holds in the given holds, not counting the one it is replacing
+function countClientReservations (holds, client, replacedReservationId) {
+    const reservationIds = holds
+        .filter(hold => hold.client === client && hold.reservationId !== replacedReservationId)
+        .map(hold => hold.reservationId)
+
+    return new Set(reservationIds).size
+}
+
+// Put a soft hold on the given SKU quantities, replacing reservationId's hold when one is given
+// client identifies who holds it (see getReservationClient), for the per-client cap
+//
+// The stock check and this write aren't atomic, so two shoppers can both pass the check for the last units.
+// limits closes that window: per SKU, how many units this hold and holds written before it may share (stock left
+// after safety stock, see getHoldLimits). After writing, the holds are loaded again, and if earlier holds leave too
+// little the new entry is dropped and { oversoldSKUs } returned instead, keeping the hold it would have replaced.
+// Order goes by createdAt, so of two racing reservations the later one backs off and the earlier one keeps its units.
+// knownHolds are holds this request already loaded, so the recheck only reads entries written since.
+async function createReservation (store, shopDomain, items, reservationId, client, limits = null, knownHolds = []) {
+    const id = reservationId || crypto.randomUUID()
+    const createdAt = new Date().toISOString()
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_SECONDS * 1000).toISOString()
+    const hold = {
+        items: items.map(item => ({ sku: item.sku, quantity: item.quantity })),
+        createdAt: createdAt,
+        expiresAt: expiresAt,
+        client: client || null
+    }
+    const key = `${reservationPrefix(shopDomain, id)}${crypto.randomUUID()}`
+
+    await store.set(key, hold)
+
+    if (limits) {
+        const earlierHolds = (await loadHolds(store, shopDomain, knownHolds))
+            .filter(other => other.reservationId !== id && isWrittenBefore(other, { ...hold, key }))
+        const held = sumHeldQuantities(earlierHolds)
+        const oversoldSKUs = hold.items
+            .filter(item => item.sku in limits && (held[item.sku] || 0) + item.quantity > limits[item.sku])
+            .map(item => item.sku)
+
+        if (oversoldSKUs.length > 0) {
+            await store.delete(key)
+            logger.warn('Reservation lost a race for stock', { shop: shopDomain, reservationId: id, oversoldSKUs })
+            return { oversoldSKUs }
+        }
+    }
+
+    if (reservationId) {
+        await deleteEntries(store, (await store.list(reservationPrefix(shopDomain, id))).filter(entry => entry !== key))
+    }
+
+    logger.info('Reserved stock', { shop: shopDomain, reservationId: id, items: hold.items, expiresAt })
+
+    return { reservationId: id, expiresAt, items: hold.items }
+}
+
+// Per-SKU limits for createReservation from checkInventoryLevels results: what the check saw as sellable plus what
+// other holds had reserved, i.e. stock after safety stock. Backordered SKUs can be oversold anyway and get no limit.
+function getHoldLimits (stockResults) {
+    const limits = {}
+
+    for (const result of stockResults) {
+        if (typeof result.availableQuantity === 'number' && result.availableQuantity >= result.quantity) {
+            limits[result.sku] = result.availableQuantity + (result.reservedQuantity || 0)
+        }
+    }
+
+    return limits
+}
+
+// Drop holds, returns the IDs that were still active
+async function releaseReservations (store, shopDomain, reservationIds) {
+    const released = []
+
+    for (const reservationId of reservationIds) {
+        const keys = await store.list(reservationPrefix(shopDomain, reservationId))
+
+        if (keys.length === 0) {
+            continue
+        }
+
+        const holds = await Promise.all(keys.map(key => store.get(key)))
+        await deleteEntries(store, keys)
+
+        if (holds.some(hold => hold && !isExpired(hold))) {
+            released.push(reservationId)
+        }
+    }
+
+    if (released.length > 0) {
+        logger.info('Released reservations', { shop: shopDomain, reservationIds: released })
+    }
+
+    return released
+}
+
+// Who holds a reservation: a hash of the client IP, so the cap works without storing addresses
+function getReservationClient (clientIP) {
+    return crypto.createHash('sha256').update(String(clientIP)).digest('hex').slice(0, 32)
+}
+
+// Reservation IDs an order carries in its cart attributes or bundle line item properties
+function getOrderReservationIds (order) {
+    const attributes = [
+        ...(order.note_attributes || []),
+        ...(order.line_items || []).flatMap(lineItem => lineItem.properties || [])
+    ]
+
+    return [...new Set(attributes.filter(attribute => attribute.name === RESERVATION_ATTRIBUTE && attribute.value).map(attribute => String(attribute.value)))]
+}
+
+// Same for a /cart.js payload, where attributes and properties are plain objects
+function getCartReservationIds (cart) {
+    const values = [
+        (cart.attributes || {})[RESERVATION_ATTRIBUTE],
+        ...cart.items.map(item => (item.properties || {})[RESERVATION_ATTRIBUTE])
+    ]
+
+    return [...new Set(values.filter(Boolean).map(String))]
+}
+
+// Active holds for a shop with their reservation IDs and keys, expired entries are deleted as they are found
+// Entries in knownHolds aren't read again, only listed
+async function loadHolds (store, shopDomain, knownHolds = []) {
+    const prefix = reservationPrefix(shopDomain, '')
+    const known = new Map(knownHolds.map(hold => [hold.key, hold]))
+    const holds = []
+    const expiredKeys = []
+
+    await Promise.all((await store.list(prefix)).map(async key => {
+        const hold = known.get(key) || await store.get(key)
+
+        if (!hold) {
+            return
+        }
+
+        if (isExpired(hold)) {
+            expiredKeys.push(key)
+            return
+        }
+
+        holds.push({ ...hold, key, reservationId: key.slice(prefix.length, key.lastIndexOf('/')) })
+    }))
+
+    try {
+        await deleteEntries(store, expiredKeys)
+    } catch (error) {
+        logger.warn('Failed to delete expired reservations', { shop: shopDomain, error })
+    }
+
+    return holds
+}
+
+function sumHeldQuantities (holds) {
+    const held = {}
+
+    for (const hold of holds) {
+        for (const item of hold.items) {
+            held[item.sku] = (held[item.sku] || 0) + item.quantity
+        }
+    }
+
+    return held
+}
+
+// Holds written before this change have no createdAt and count as earliest, equal timestamps go by key
+function isWrittenBefore (hold, other) {
+    const createdAt = hold.createdAt || ''
+
+    return createdAt < other.createdAt || (createdAt === other.createdAt && hold.key < other.key)
+}
+
+function reservationPrefix (shopDomain, reservationId) {
+    return reservationId ? `${shopDomain}/${reservationId}/` : `${shopDomain}/`
+}
+
+function isExpired (hold) {
+    return hold.expiresAt <= new Date().toISOString()
+}
+
+async function deleteEntries (store, keys) {
+    await Promise.all(keys.map(key => store.delete(key)))
+}
+
+module.exports = {
+    RESERVATION_ATTRIBUTE,
+    RESERVATION_MAX_UNITS,
+    RESERVATION_MAX_PER_CLIENT,
+    loadHolds,
+    getReservedQuantities,
+    countClientReservations,
+    createReservation,
+    getHoldLimits,
+    releaseReservations,
+    getOrderReservationIds,
+    getCartReservationIds,
+    getReservationClient
+}
@@ -0,0 +1,111 @@
+// netlify/lib/responses.js
+const { ShopifyError } = require('./shopify')
+const { addRequestFields } = require('./logger')
+
+// Every JSON response carries the schema version it follows, documented in netlify/schemas/response.v1.json
+// Fields are only ever added within a version, renaming or removing one means a new version
+const RESPONSE_SCHEMA_VERSION = 1
+
+// Stable error codes and the HTTP status they're sent with
+// Storefronts switch on the code, messages are for people and may be reworded at any time
+const ERROR_STATUS = {
+    // The request itself
+    INVALID_JSON: 400,
+    INVALID_REQUEST: 400,
+    // Bundle properties that can't be turned into component SKUs
+    UNMAPPED_PRODUCT: 400,
+    MISSING_OPTION: 400,
+    VARIANT_NOT_FOUND: 400,
+    INVALID_COMPONENT_QUANTITY: 400,
+    BUNDLE_TOO_SMALL: 400,
+    BUNDLE_TOO_LARGE: 400,
+    // A cart line that is neither a bundle nor a product with a SKU, only reported per line
+    MISSING_SKU: 400,
+    // Who is asking
+    UNAUTHORIZED: 401,
+    INVALID_SIGNATURE: 401,
+    FORBIDDEN: 403,
+    UNKNOWN_SHOP: 403,
+    ORIGIN_NOT_ALLOWED: 403,
+    METHOD_NOT_ALLOWED: 405,
+    OUT_OF_STOCK: 409,
+    RATE_LIMITED: 429,
+    TOO_MANY_RESERVATIONS: 429,
+    TOO_MANY_SUBSCRIPTIONS: 429,
+    // Our side
+    INTERNAL_ERROR: 500,
+    MISSING_CREDENTIALS: 500,
+    UPSTREAM_ERROR: 502,
+    NOTIFICATIONS_UNAVAILABLE: 503
+}
+
+// { code, message, field, details }, field names the request value at fault (see fieldPath)
+function apiError (code, message, field, details) {
+    if (!ERROR_STATUS[code]) {
+        throw new Error(`Unknown error code: ${code}`)
+    }
+
+    return {
+        code,
+        message,
+        ...(field ? { field } : {}),
+        ...(details ? { details } : {})
+    }
+}
+
+// Path of a request value the way JavaScript would reach it: quantity, cart.items[0].quantity, properties["Max Comfort Insoles: Size"]
+function fieldPath (segments) {
+    return segments.map((segment, index) => {
+        if (typeof segment === 'number') {
+            return `[${segment}]`
+        }
+
+        if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+            return index === 0 ? segment : `.${segment}`
+        }
+
+        return `[${JSON.stringify(segment)}]`
+    }).join('')
+}
+
+function jsonResponse (statusCode, headers, body) {
+    return {
+        statusCode,
+        headers,
+        body: JSON.stringify({ schemaVersion: RESPONSE_SCHEMA_VERSION, ...body })
+    }
+}
+
+// One error or several, most relevant first: { error: first, errors: all }, sent with the first error's status
+function errorResponse (headers, errors, body = {}) {
+    const allErrors = [].concat(errors)
+
+    // The request's summary log line carries the codes, so failures can be counted by kind
+    addRequestFields({ errorCodes: allErrors.map(error => error.code) })
+
+    return jsonResponse(ERROR_STATUS[allErrors[0].code], headers, {
+        ...body,
+        error: allErrors[0],
+        errors: allErrors
+    })
+}
+
+// Unexpected failures: Shopify's are UPSTREAM_ERROR, anything else is ours
+function exceptionError (error) {
+    return apiError(error instanceof ShopifyError ? 'UPSTREAM_ERROR' : 'INTERNAL_ERROR', error.message)
+}
+
+function exceptionResponse (headers, error) {
+    return errorResponse(headers, exceptionError(error))
+}
+
+module.exports = {
+    RESPONSE_SCHEMA_VERSION,
+    ERROR_STATUS,
+    apiError,
+    fieldPath,
+    jsonResponse,
+    errorResponse,
+    exceptionError,
+    exceptionResponse
+}
@@ -0,0 +1,93 @@
+// netlify/lib/shop-request.js
+const { getStore } = require('./kv-store')
+const { authorizeShopRequest } = require('./auth')
+const { getCorsHeaders } = require('./cors')
+const { checkRateLimit } = require('./rate-limit')
+const { parseRequestBody, validateRequest } = require('./validation')
+const { apiError, errorResponse, exceptionResponse } = require('./responses')
+const { logger, addRequestFields } = require('./logger')
+
+// Everything a storefront-facing endpoint does before it looks at the request: CORS and preflights, the method check,
+// the per-client rate limit, request validation and shop authorization
+// options.methods lists the methods served, options.schema names the request schema, or one per method, e.g.
+// { POST: 'reserve-bundle-stock.json', DELETE: 'release-reservation.json' }; GET and DELETE validate the query string
+// The handler gets { event, params, shop, internal, headers, stores }, an exception it throws becomes an error response
+function withShopRequest (handler, { methods, schema }) {
+    return async (event, context) => {
+        const headers = getCorsHeaders(event, methods)
+
+        // Handle preflight OPTIONS request
+        if (event.httpMethod === 'OPTIONS') {
+            return {
+                statusCode: 200,
+                headers,
+                body: ''
+            }
+        }
+
+        if (!methods.includes(event.httpMethod)) {
+            return errorResponse({ ...headers, 'Allow': headers['Access-Control-Allow-Methods'] }, apiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+        }
+
+        // Per-IP limit so a single client can't use up the shop's Admin API quota
+        const rateLimit = checkRateLimit(event)
+
+        if (!rateLimit.allowed) {
+            return errorResponse({ ...headers, 'Retry-After': String(rateLimit.retryAfter) }, apiError('RATE_LIMITED', 'Too many requests'))
+        }
+
+        try {
+            const { params, errors } = parseParams(event, typeof schema === 'string' ? schema : schema[event.httpMethod])
+
+            if (errors) {
+                return errorResponse(headers, errors)
+            }
+
+            // Only registered shops are served, each with its own server-side token, and only to its own storefront or verified callers
+            const { shop, internal, error } = authorizeShopRequest(event, params.shopDomain)
+
+            if (!shop) {
+                return errorResponse(headers, error)
+            }
+
+            addRequestFields({ shop: shop.shopDomain })
+
+            if (!shop.accessToken) {
+                return errorResponse(headers, apiError('MISSING_CREDENTIALS', 'Missing Shopify credentials'))
+            }
+
+            // The stores a stock check reads, handlers open any others they need themselves
+            const stores = {
+                skuIndex: getStore('sku-index', event),
+                locationCache: getStore('locations', event),
+                bundleDefinitions: getStore('bundle-definitions', event),
+                reservations: getStore('reservations', event)
+            }
+
+            return await handler({ event, params, shop, internal, headers, stores })
+
+        } catch (error) {
+            logger.error('Request failed', { error })
+
+            return exceptionResponse(headers, error)
+        }
+    }
+}
+
+// The JSON body, or the query string for GET and DELETE, checked against the schema
+function parseParams (event, schemaName) {
+    if (event.httpMethod === 'GET' || event.httpMethod === 'DELETE') {
+        const query = event.queryStringParameters || {}
+        const errors = validateRequest(schemaName, query)
+
+        return errors.length > 0 ? { errors } : { params: query }
+    }
+
+    const { body, errors } = parseRequestBody(event, schemaName)
+
+    return errors ? { errors } : { params: body }
+}
+
+module.exports = {
+    withShopRequest
+}
@@ -0,0 +1,397 @@
+// netlify/lib/shopify.js
+const { getApiVersion } = require('./shops')
+const { logger, startSpan } = require('./logger')
+
+// A call is retried at most this many times in all, whether throttled or failed, before the error reaches the caller
+const SHOPIFY_MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES) || 3
+const RETRY_BASE_DELAY_MS = 500
+
+// The REST bucket leaks 2 calls a second on standard plans, Shopify Plus shops can raise this
+const REST_LEAK_RATE = Number(process.env.SHOPIFY_REST_LEAK_RATE) || 2
+
+// Inventory adjustments carry an idempotency key, which the Admin API accepts from this version on
+const IDEMPOTENT_INVENTORY_API_VERSION = '2025-10'
+
+// Last known REST bucket and GraphQL cost budget per shop, shared by every call this function instance makes
+const throttleState = {}
+
+// A failed or rejected Admin API call, responses report these as UPSTREAM_ERROR rather than our own failure
+class ShopifyError extends Error {
+    constructor (message, status) {
+        super(message)
+        this.name = 'ShopifyError'
+        this.status = status || null
+    }
+}
+
+// Admin API endpoint in the API version the shop is registered with, or the given one
+function adminApiUrl (shopDomain, path, apiVersion) {
+    return `https://${shopDomain}/admin/api/${apiVersion || getApiVersion(shopDomain)}/${path}`
+}
+
+// Every Admin API request goes through here: it waits while the shop's budget is nearly used up, retries requests
+// Shopify didn't process (429s and THROTTLED GraphQL responses) and returns the parsed body, throwing on any other failure
+// 5xx responses and network errors are only retried for reads and idempotent mutations: any other mutation may have been
+// applied before the failure, so it fails through to the caller rather than risk running twice
+// One attempt budget covers every retry of a call, honoring Retry-After or backing off with jitter
+// Each attempt is a "shopify" span with its endpoint, status, latency and the REST call-limit header
+async function shopifyFetch (path, shopDomain, accessToken, options, { endpoint, idempotent, apiVersion }) {
+    const api = path === 'graphql.json' ? 'graphql' : 'rest'
+    const description = api === 'graphql' ? 'Shopify GraphQL request' : `Shopify request to ${endpoint}`
+
+    for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < SHOPIFY_MAX_RETRIES
+
+        await waitForCapacity(shopDomain, api)
+
+        const span = startSpan('shopify', { shop: shopDomain, endpoint, attempt })
+        let response
+
+        try {
+            response = await fetch(adminApiUrl(shopDomain, path, apiVersion), {
+                ...options,
+                headers: {
+                    'X-Shopify-Access-Token': accessToken,
+                    ...(options.headers || {})
+                }
+            })
+        } catch (error) {
+            span.end({ error: error.message }, 'warn')
+
+            if (!idempotent || !canRetry) {
+                throw new ShopifyError(`${description} failed: ${error.message}`)
+            }
+
+            const delay = getBackoffDelay(attempt)
+            logger.warn('Shopify request failed, retrying', { endpoint, error: error.message, delayMs: delay })
+            await sleep(delay)
+            continue
+        }
+
+        const callLimit = response.headers.get('x-shopify-shop-api-call-limit')
+        span.end({ status: response.status, callLimit: callLimit || undefined }, response.ok ? 'debug' : 'warn')
+        recordCallLimit(shopDomain, callLimit)
+
+        if ((response.status === 429 || (idempotent && response.status >= 500)) && canRetry) {
+            const delay = getRetryDelay(response.headers.get('retry-after'), attempt)
+            logger.warn('Shopify request rejected, retrying', { endpoint, status: response.status, delayMs: delay })
+            await sleep(delay)
+            continue
+        }
+
+        if (!response.ok) {
+            throw new ShopifyError(`${description} failed: ${response.status} ${response.statusText}`, response.status)
+        }
+
+        const result = await response.json()
+
+        if (api === 'graphql') {
+            recordQueryCost(shopDomain, result.extensions && result.extensions.cost)
+
+            // Throttled queries come back as 200s with a THROTTLED error, those wait for the cost budget to refill
+            const throttled = result.errors && result.errors.some(error => error.extensions && error.extensions.code === 'THROTTLED')
+
+            if (throttled && canRetry) {
+                const delay = getCostDelay(shopDomain) || getBackoffDelay(attempt)
+                logger.warn('Shopify GraphQL throttled, retrying', { endpoint, delayMs: delay })
+                await sleep(delay)
+                continue
+            }
+        }
+
+        return result
+    }
+}
+
+// Run a REST Admin API GET request and return the parsed JSON, throwing once retries are used up
+async function shopifyREST(path, shopDomain, accessToken) {
+    return shopifyFetch(path, shopDomain, accessToken, {}, { endpoint: path.split('?')[0], idempotent: true })
+}
+
+// Run an Admin GraphQL query or mutation, throwing on HTTP and GraphQL errors
+// options.idempotent marks a mutation Shopify dedupes itself (an @idempotent key) as safe to retry,
+// options.apiVersion overrides the shop's version for operations that need a newer one
+async function shopifyGraphQL(query, variables, shopDomain, accessToken, options = {}) {
+    const operation = getOperation(query)
+
+    const result = await shopifyFetch('graphql.json', shopDomain, accessToken, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ query, variables })
+    }, {
+        endpoint: `graphql.json ${operation.name}`,
+        idempotent: operation.type === 'query' || Boolean(options.idempotent),
+        apiVersion: options.apiVersion
+    })
+
+    if (result.errors) {
+        throw new ShopifyError(`Shopify GraphQL errors: ${result.errors.map(error => error.message).join('; ')}`)
+    }
+
+    return result.data
+}
+
+// "query VariantsBySKU(...)" -> { type: 'query', name: 'VariantsBySKU' }, so spans tell the operations apart
+// and mutations are never retried blindly
+function getOperation (query) {
+    const match = /\b(query|mutation)\s+(\w+)/.exec(query)
+    return match ? { type: match[1], name: match[2] } : { type: /^\s*mutation\b/.test(query) ? 'mutation' : 'query', name: 'anonymous' }
+}
+
+// "32/40" means 32 of the bucket's 40 calls are in use
+function recordCallLimit (shopDomain, callLimit) {
+    const match = /^(\d+)\/(\d+)$/.exec(callLimit || '')
+
+    if (match) {
+        getThrottleState(shopDomain).rest = { used: Number(match[1]), limit: Number(match[2]), at: Date.now() }
+    }
+}
+
+function recordQueryCost (shopDomain, cost) {
+    if (cost && cost.throttleStatus) {
+        getThrottleState(shopDomain).graphql = {
+            available: cost.throttleStatus.currentlyAvailable,
+            maximum: cost.throttleStatus.maximumAvailable,
+            restoreRate: cost.throttleStatus.restoreRate,
+            lastCost: cost.requestedQueryCost,
+            at: Date.now()
+        }
+    }
+}
+
+// Sleep until the bucket has leaked enough for one more call, or the cost budget covers another query like the last one
+async function waitForCapacity (shopDomain, api) {
+    const delay = api === 'graphql' ? getCostDelay(shopDomain) : getBucketDelay(shopDomain)
+
+    if (delay > 0) {
+        logger.info('Shopify budget nearly used up, waiting', { shop: shopDomain, api, delayMs: delay })
+        await sleep(delay)
+    }
+}
+
+function getBucketDelay (shopDomain) {
+    const bucket = getThrottleState(shopDomain).rest
+
+    if (!bucket) {
+        return 0
+    }
+
+    const used = Math.max(0, bucket.used - (Date.now() - bucket.at) / 1000 * REST_LEAK_RATE)
+    const overflow = used - (bucket.limit - 1)
+
+    return overflow > 0 ? Math.ceil(overflow / REST_LEAK_RATE * 1000) : 0
+}
+
+function getCostDelay (shopDomain) {
+    const budget = getThrottleState(shopDomain).graphql
+
+    if (!budget || !budget.restoreRate) {
+        return 0
+    }
+
+    const available = Math.min(budget.maximum, budget.available + (Date.now() - budget.at) / 1000 * budget.restoreRate)
+    const shortfall = budget.lastCost - available
+
+    return shortfall > 0 ? Math.ceil(shortfall / budget.restoreRate * 1000) : 0
+}
+
+// Retry-After is in seconds, without it back off exponentially
+function getRetryDelay (retryAfter, attempt) {
+    const seconds = Number(retryAfter)
+    return retryAfter && seconds >= 0 ? Math.ceil(seconds * 1000) : getBackoffDelay(attempt)
+}
+
+// Full jitter, so instances throttled at the same moment don't all retry together
+function getBackoffDelay (attempt) {
+    return Math.round(Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt)
+}
+
+function getThrottleState (shopDomain) {
+    throttleState[shopDomain] = throttleState[shopDomain] || {}
+    return throttleState[shopDomain]
+}
+
+function sleep (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// API versions are dated "YYYY-MM", so they compare as strings
+function laterApiVersion (version, minimumVersion) {
+    return version > minimumVersion ? version : minimumVersion
+}
+
+// Look up variants for several SKUs at once through the Admin GraphQL API
+async function getVariantsBySKUs(skus, shopDomain, accessToken) {
+    const uniqueSKUs = [...new Set(skus)]
+    const variantsBySKU = {}
+
+    if (uniqueSKUs.length === 0) {
+        return variantsBySKU
+    }
+
+    logger.debug('Searching for variants by SKU', { skus: uniqueSKUs })
+
+    // A bundle fits in one query, larger lookups (availability matrices) go in batches
+    for (let start = 0; start < uniqueSKUs.length; start += VARIANTS_PER_QUERY) {
+        const batch = uniqueSKUs.slice(start, start + VARIANTS_PER_QUERY)
+
+        // Shopify's sku search is tokenized, so quote each SKU and keep exact matches only
+        const searchQuery = batch.map(sku => `sku:"${sku.replace(/["\\]/g, '\\$&')}"`).join(' OR ')
+
+        const data = await shopifyGraphQL(VARIANTS_BY_SKU_QUERY, { query: searchQuery, first: 250 }, shopDomain, accessToken)
+
+        for (const { node } of data.productVariants.edges) {
+            if (!batch.includes(node.sku) || variantsBySKU[node.sku]) {
+                continue
+            }
+
+            logger.debug('Found variant for SKU', { sku: node.sku, product: node.product.title })
+
+            // Keep the REST field names the rest of the stock check relies on
+            variantsBySKU[node.sku] = {
+                id: Number(node.legacyResourceId),
+                sku: node.sku,
+                product_id: Number(node.product.legacyResourceId),
+                product_title: node.product.title,
+                inventory_item_id: Number(node.inventoryItem.legacyResourceId),
+                inventory_management: node.inventoryItem.tracked ? 'shopify' : null,
+                inventory_policy: node.inventoryPolicy.toLowerCase()
+            }
+        }
+    }
+
+    const missingSKUs = uniqueSKUs.filter(sku => !variantsBySKU[sku])
+    if (missingSKUs.length > 0) {
+        logger.warn('No variant found for SKUs', { skus: missingSKUs })
+    }
+
+    return variantsBySKU
+}
+
+const VARIANTS_PER_QUERY = 50
+
+const VARIANTS_BY_SKU_QUERY = `
+    query VariantsBySKU($query: String!, $first: Int!) {
+        productVariants(first: $first, query: $query) {
+            edges {
+                node {
+                    legacyResourceId
+                    sku
+                    inventoryPolicy
+                    product {
+                        legacyResourceId
+                        title
+                    }
+                    inventoryItem {
+                        legacyResourceId
+                        tracked
+                    }
+                }
+            }
+        }
+    }
+`
+
+// Read a product metafield value, or null when the product or metafield doesn't exist
+async function getProductMetafield(productId, namespace, key, shopDomain, accessToken) {
+    const data = await shopifyGraphQL(PRODUCT_METAFIELD_QUERY, {
+        id: `gid://shopify/Product/${productId}`,
+        namespace,
+        key
+    }, shopDomain, accessToken)
+
+    return data.product && data.product.metafield ? data.product.metafield.value : null
+}
+
+const PRODUCT_METAFIELD_QUERY = `
+    query ProductMetafield($id: ID!, $namespace: String!, $key: String!) {
+        product(id: $id) {
+            metafield(namespace: $namespace, key: $key) {
+                value
+            }
+        }
+    }
+`
+
+// Create a draft order, throwing when Shopify rejects the input
+async function createDraftOrder(input, shopDomain, accessToken) {
+    const data = await shopifyGraphQL(DRAFT_ORDER_CREATE_MUTATION, { input }, shopDomain, accessToken)
+    const { draftOrder, userErrors } = data.draftOrderCreate
+
+    if (userErrors.length > 0) {
+        throw new ShopifyError(`Draft order rejected: ${userErrors.map(error => error.message).join('; ')}`)
+    }
+
+    return draftOrder
+}
+
+const DRAFT_ORDER_CREATE_MUTATION = `
+    mutation DraftOrderCreate($input: DraftOrderInput!) {
+        draftOrderCreate(input: $input) {
+            draftOrder {
+                id
+                legacyResourceId
+                name
+                invoiceUrl
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`
+
+// Change available quantities at one location, tied to the order (or other document) that caused the change
+// Shopify applies an adjustment at most once per idempotency key, so a caller unsure whether an earlier attempt went
+// through sends it again with the same key
+async function adjustInventoryQuantities(changes, locationId, reason, referenceDocumentUri, idempotencyKey, shopDomain, accessToken) {
+    const data = await shopifyGraphQL(INVENTORY_ADJUST_QUANTITIES_MUTATION, {
+        idempotencyKey: idempotencyKey,
+        input: {
+            reason: reason,
+            name: 'available',
+            referenceDocumentUri: referenceDocumentUri,
+            changes: changes.map(change => ({
+                delta: change.delta,
+                inventoryItemId: `gid://shopify/InventoryItem/${change.inventoryItemId}`,
+                locationId: `gid://shopify/Location/${locationId}`
+            }))
+        }
+    }, shopDomain, accessToken, {
+        idempotent: true,
+        apiVersion: laterApiVersion(getApiVersion(shopDomain), IDEMPOTENT_INVENTORY_API_VERSION)
+    })
+    const { userErrors } = data.inventoryAdjustQuantities
+
+    if (userErrors.length > 0) {
+        throw new ShopifyError(`Inventory adjustment rejected: ${userErrors.map(error => error.message).join('; ')}`)
+    }
+}
+
+const INVENTORY_ADJUST_QUANTITIES_MUTATION = `
+    mutation InventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!, $idempotencyKey: String!) {
+        inventoryAdjustQuantities(input: $input) @idempotent(key: $idempotencyKey) {
+            inventoryAdjustmentGroup {
+                id
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`
+
+module.exports = {
+    ShopifyError,
+    shopifyREST,
+    shopifyGraphQL,
+    laterApiVersion,
+    getVariantsBySKUs,
+    getProductMetafield,
+    createDraftOrder,
+    adjustInventoryQuantities
+}
@@ -0,0 +1,88 @@
+// netlify/lib/shops.js
+const shopConfig = require('../config/shops.json')
+const { logger } = require('./logger')
+
+const DEFAULT_API_VERSION = '2024-01'
+
+// Shops this deployment serves: config/shops.json plus the SHOPIFY_SHOP_DOMAIN shop
+// Tokens never go in the config, each shop names the environment variables holding its secrets, e.g.
+// "eu-store.myshopify.com": { "tokenEnv": "SHOPIFY_EU_ACCESS_TOKEN", "webhookSecretEnv": "SHOPIFY_EU_WEBHOOK_SECRET", "apiVersion": "2024-04" }
+// allowedOrigins lists the storefront origins whose browsers may call the endpoints for that shop
+function getShops () {
+    const shops = {}
+
+    for (const [shopDomain, shop] of Object.entries(shopConfig.shops)) {
+        shops[normalizeShopDomain(shopDomain)] = shop
+    }
+
+    if (process.env.SHOPIFY_SHOP_DOMAIN) {
+        const shopDomain = normalizeShopDomain(process.env.SHOPIFY_SHOP_DOMAIN)
+        shops[shopDomain] = shops[shopDomain] || {}
+
+        if (process.env.ALLOWED_ORIGINS) {
+            shops[shopDomain] = {
+                ...shops[shopDomain],
+                allowedOrigins: [...(shops[shopDomain].allowedOrigins || []), ...process.env.ALLOWED_ORIGINS.split(',')]
+            }
+        }
+    }
+
+    return shops
+}
+
+// The registered shop a request is for, with its credentials, or null when we don't serve that domain
+// Requests that don't name a shop go to the default shop
+function resolveShop (requestedShopDomain) {
+    const shops = getShops()
+    const defaultShopDomain = process.env.SHOPIFY_SHOP_DOMAIN || shopConfig.defaultShop
+    const shopDomain = normalizeShopDomain(requestedShopDomain || defaultShopDomain)
+    const shop = shops[shopDomain]
+
+    if (!shop) {
+        return null
+    }
+
+    // Only the SHOPIFY_SHOP_DOMAIN shop may use the default SHOPIFY_* secrets, handing them to any other shop would
+    // send one shop's Admin token to another, so a registry shop without its own env names isn't served
+    const isEnvShop = Boolean(process.env.SHOPIFY_SHOP_DOMAIN) && shopDomain === normalizeShopDomain(process.env.SHOPIFY_SHOP_DOMAIN)
+
+    if (!isEnvShop && (!shop.tokenEnv || !shop.webhookSecretEnv)) {
+        logger.error('Registered shop has no tokenEnv or webhookSecretEnv, not serving it', { shop: shopDomain })
+        return null
+    }
+
+    return {
+        shopDomain: shopDomain,
+        accessToken: process.env[shop.tokenEnv || 'SHOPIFY_ACCESS_TOKEN'],
+        webhookSecret: process.env[shop.webhookSecretEnv || 'SHOPIFY_WEBHOOK_SECRET'],
+        appProxySecret: (shop.appProxySecretEnv || isEnvShop) ? process.env[shop.appProxySecretEnv || 'SHOPIFY_API_SECRET'] : undefined,
+        apiVersion: shop.apiVersion || DEFAULT_API_VERSION,
+        allowedOrigins: (shop.allowedOrigins || []).map(normalizeOrigin)
+    }
+}
+
+// Every origin allowed for any shop, preflight requests don't say which shop they are for
+function getAllAllowedOrigins () {
+    return [...new Set(Object.values(getShops()).flatMap(shop => (shop.allowedOrigins || []).map(normalizeOrigin)))]
+}
+
+function getApiVersion (shopDomain) {
+    const shop = getShops()[normalizeShopDomain(shopDomain)]
+    return (shop && shop.apiVersion) || DEFAULT_API_VERSION
+}
+
+// "https://Store.myshopify.com/" and "store.myshopify.com" are the same shop
+function normalizeShopDomain (shopDomain) {
+    return String(shopDomain || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '')
+}
+
+function normalizeOrigin (origin) {
+    return String(origin || '').trim().toLowerCase().replace(/\/+$/, '')
+}
+
+module.exports = {
+    resolveShop,
+    getApiVersion,
+    getAllAllowedOrigins,
+    normalizeOrigin
+}
@@ -0,0 +1,136 @@
+// netlify/lib/sizes.js
+const sizeConfig = require('../config/sizes.json')
+const { canonicalKey } = require('./normalize')
+
+// Option whose values are size buckets, e.g. "Men's 9-9.5 | Women's 10-10.5" for insoles and "Women's 8 | Men's 7" for slides
+const SIZE_OPTION = sizeConfig.option
+
+// Words a plain size may carry besides its number, e.g. "US M 9.5", "women's 10", "EU 42", "UK 8"
+const SYSTEM_TOKENS = { us: 'us', usa: 'us', eu: 'eu', eur: 'eu', uk: 'uk' }
+const GENDER_TOKENS = {
+    m: 'men', man: 'men', men: 'men', mens: 'men', "men's": 'men',
+    w: 'women', woman: 'women', women: 'women', womens: 'women', "women's": 'women', ladies: 'women'
+}
+const FILLER_TOKENS = ['size', 'sz']
+
+// Parse a plain size answer into { system, gender, value }, or null when it isn't one
+// Accepts a number, a string like "9.5", "M9.5", "US women's 10 1/2", "EU 42", "UK 8",
+// or { system: "us" | "eu" | "uk", gender: "men" | "women", size }
+// Without a system or gender the config's defaults apply (US men's)
+function parseSizeInput (input) {
+    if (input && typeof input === 'object') {
+        const parsed = parseSizeInput(input.size)
+        const system = input.system ? SYSTEM_TOKENS[String(input.system).toLowerCase()] : parsed && parsed.system
+        const gender = input.gender ? GENDER_TOKENS[String(input.gender).toLowerCase()] : parsed && parsed.gender
+
+        return parsed && system && gender ? { ...parsed, system, gender } : null
+    }
+
+    if (typeof input === 'number') {
+        return input > 0 ? { system: sizeConfig.defaultSystem, gender: sizeConfig.defaultGender, value: input } : null
+    }
+
+    if (typeof input !== 'string') {
+        return null
+    }
+
+    // NFKC in canonicalKey spells "½" as "1⁄2" with a fraction slash
+    const text = canonicalKey(input)
+        .replace(/\s*(?:½|1[/⁄]2)/g, '.5')
+        .replace(/(\d),(\d)/g, '$1.$2')
+    const tokens = text.match(/[a-z']+|\d+(?:\.\d+)?/g) || []
+    const result = { system: sizeConfig.defaultSystem, gender: null, value: null }
+
+    for (const token of tokens) {
+        if (/^\d/.test(token)) {
+            if (result.value !== null) {
+                return null
+            }
+            result.value = Number(token)
+        } else if (SYSTEM_TOKENS[token]) {
+            result.system = SYSTEM_TOKENS[token]
+        } else if (GENDER_TOKENS[token]) {
+            result.gender = GENDER_TOKENS[token]
+        } else if (!FILLER_TOKENS.includes(token)) {
+            return null
+        }
+    }
+
+    if (!result.value) {
+        return null
+    }
+
+    return { ...result, gender: result.gender || sizeConfig.defaultGender }
+}
+
+// US men's equivalent of a parsed size, the scale every bucket is compared on
+// US women's = US men's + usWomenOffset, US = UK + ukOffset, and EU sizes are looked up in the gender's eu chart
+function toUSMensSize ({ system, gender, value }) {
+    const usSize = system === 'eu'
+        ? euToUSSize(sizeConfig.eu[gender], value)
+        : system === 'uk' ? value + sizeConfig.ukOffset[gender] : value
+
+    if (usSize === null) {
+        return null
+    }
+
+    return gender === 'women' ? usSize - sizeConfig.usWomenOffset : usSize
+}
+
+// EU sizes don't step with US sizes, so the chart lists the EU size of every US size
+// An EU size between two listed ones takes the larger, one outside the chart has no US size
+function euToUSSize (chart, euSize) {
+    const listedSizes = Object.keys(chart).map(Number).sort((a, b) => a - b)
+
+    if (euSize < listedSizes[0]) {
+        return null
+    }
+
+    const listedSize = listedSizes.find(size => size >= euSize)
+
+    return listedSize === undefined ? null : chart[String(listedSize)]
+}
+
+// "Men's 9-9.5 | Women's 10-10.5" -> [{ gender: 'men', min: 9, max: 9.5 }, { gender: 'women', min: 10, max: 10.5 }]
+// Labels that aren't size ranges come back empty and never match
+function parseSizeLabel (label) {
+    return canonicalKey(label).split(' | ').map(segment => {
+        const match = segment.match(/^(men|women)(?:'?s)? (\d+(?:\.\d+)?)(?: ?- ?(\d+(?:\.\d+)?))?$/)
+
+        return match && {
+            gender: match[1],
+            min: Number(match[2]),
+            max: Number(match[3] || match[2])
+        }
+    }).filter(Boolean)
+}
+
+function labelContains (ranges, usMensSize) {
+    return ranges.some(range => {
+        const size = range.gender === 'women' ? usMensSize + sizeConfig.usWomenOffset : usMensSize
+        return size >= range.min && size <= range.max
+    })
+}
+
+// The bucket among a product's size labels that fits a plain size answer, or null
+// A half size with no bucket of its own (slides come in whole sizes) takes the next size up
+function resolveSizeLabel (input, labels) {
+    const parsed = parseSizeInput(input)
+    const usMensSize = parsed && toUSMensSize(parsed)
+
+    if (usMensSize === null) {
+        return null
+    }
+
+    const buckets = labels.map(label => ({ label, ranges: parseSizeLabel(label) }))
+    const bucket = buckets.find(candidate => labelContains(candidate.ranges, usMensSize)) ||
+        buckets.find(candidate => labelContains(candidate.ranges, usMensSize + 0.5))
+
+    return bucket ? bucket.label : null
+}
+
+module.exports = {
+    SIZE_OPTION,
+    parseSizeInput,
+    resolveSizeLabel
+}
@@ -0,0 +1,169 @@
+// netlify/lib/sku-index.js
+const { getVariantsBySKUs } = require('./shopify')
+const { logger } = require('./logger')
+
+// Variant and inventory item IDs rarely change, so index entries are kept for a day by default
+const SKU_INDEX_TTL_SECONDS = Number(process.env.SKU_INDEX_TTL_SECONDS) || 86400
+
+// Resolve SKUs to variants from the index, asking Shopify only for missing or expired entries
+async function getIndexedVariants (skus, shopDomain, accessToken, store) {
+    const index = await loadIndex(store, shopDomain)
+    const variantsBySKU = {}
+    const staleSKUs = []
+
+    for (const sku of new Set(skus)) {
+        const entry = index.skus[sku]
+
+        if (entry && Date.now() - entry.indexedAt < SKU_INDEX_TTL_SECONDS * 1000) {
+            variantsBySKU[sku] = toVariant(sku, entry)
+        } else {
+            staleSKUs.push(sku)
+        }
+    }
+
+    logger.debug('SKU index lookup', { shop: shopDomain, hits: Object.keys(variantsBySKU).length, misses: staleSKUs.length })
+
+    if (staleSKUs.length === 0) {
+        return variantsBySKU
+    }
+
+    const fetchedVariants = await getVariantsBySKUs(staleSKUs, shopDomain, accessToken)
+
+    for (const sku of staleSKUs) {
+        const variant = fetchedVariants[sku]
+
+        if (variant) {
+            index.skus[sku] = toEntry(variant)
+            variantsBySKU[sku] = variant
+        } else {
+            delete index.skus[sku]
+        }
+    }
+
+    await saveIndex(store, shopDomain, index)
+
+    return variantsBySKU
+}
+
+// Drop specific SKUs from a shop's index, or the whole index when no SKUs are given
+async function invalidateSKUs (store, shopDomain, skus) {
+    if (!skus) {
+        await store.delete(shopDomain)
+        logger.info('Cleared SKU index', { shop: shopDomain })
+        return
+    }
+
+    const index = await loadIndex(store, shopDomain)
+
+    for (const sku of skus) {
+        delete index.skus[sku]
+    }
+
+    await saveIndex(store, shopDomain, index)
+    logger.info('Invalidated SKU index entries', { shop: shopDomain, skus })
+}
+
+// Replace a product's entries with the variants from a products/update webhook payload
+// Renamed SKUs disappear from the index and new SKUs are indexed straight away
+// Variants the payload doesn't describe fully are left out and looked up again on their next stock check: without
+// inventory_management an entry would read as untracked stock, i.e. unlimited
+async function reindexProduct (store, shopDomain, product) {
+    const index = await loadIndex(store, shopDomain)
+    removeProductEntries(index, product.id)
+
+    const skippedSKUs = []
+
+    for (const variant of product.variants || []) {
+        if (!variant.sku) {
+            continue
+        }
+
+        if (!hasStockFields(variant)) {
+            skippedSKUs.push(variant.sku)
+            continue
+        }
+
+        index.skus[variant.sku] = toEntry({ product_id: product.id, ...variant, product_title: product.title })
+    }
+
+    await saveIndex(store, shopDomain, index)
+    logger.info('Reindexed product', { shop: shopDomain, productId: product.id, product: product.title, skippedSKUs })
+}
+
+// Drop every entry belonging to a deleted product
+async function removeProduct (store, shopDomain, productId) {
+    const index = await loadIndex(store, shopDomain)
+    const removedSKUs = removeProductEntries(index, productId)
+
+    await saveIndex(store, shopDomain, index)
+    logger.info('Removed SKU index entries of deleted product', { shop: shopDomain, productId, skus: removedSKUs })
+}
+
+function removeProductEntries (index, productId) {
+    const removedSKUs = Object.keys(index.skus).filter(sku => index.skus[sku].productId === productId)
+
+    for (const sku of removedSKUs) {
+        delete index.skus[sku]
+    }
+
+    return removedSKUs
+}
+
+// A broken or unreachable store must never fail the stock check, it only costs an extra lookup
+async function loadIndex (store, shopDomain) {
+    try {
+        const index = await store.get(shopDomain)
+        if (index && index.skus) {
+            return index
+        }
+    } catch (error) {
+        logger.warn('Failed to load SKU index', { shop: shopDomain, error })
+    }
+
+    return { skus: {} }
+}
+
+async function saveIndex (store, shopDomain, index) {
+    try {
+        await store.set(shopDomain, index)
+    } catch (error) {
+        logger.warn('Failed to save SKU index', { shop: shopDomain, error })
+    }
+}
+
+// inventory_management is null for untracked variants, only a missing field means the payload left it out
+function hasStockFields (variant) {
+    return Boolean(variant.id && variant.inventory_item_id && variant.inventory_policy) && variant.inventory_management !== undefined
+}
+
+function toEntry (variant) {
+    return {
+        variantId: variant.id,
+        inventoryItemId: variant.inventory_item_id,
+        inventoryManagement: variant.inventory_management,
+        inventoryPolicy: variant.inventory_policy,
+        productId: variant.product_id,
+        productTitle: variant.product_title,
+        indexedAt: Date.now()
+    }
+}
+
+// Rebuild the variant shape returned by getVariantsBySKUs
+function toVariant (sku, entry) {
+    return {
+        id: entry.variantId,
+        sku: sku,
+        product_id: entry.productId,
+        product_title: entry.productTitle,
+        inventory_item_id: entry.inventoryItemId,
+        inventory_management: entry.inventoryManagement,
+        inventory_policy: entry.inventoryPolicy
+    }
+}
+
+module.exports = {
+    getIndexedVariants,
+    invalidateSKUs,
+    reindexProduct,
+    removeProduct
+}
@@ -0,0 +1,34 @@
+// netlify/lib/stock-levels.js
+const stockLevelConfig = require('../config/stock-levels.json')
+
+// Fields of a stock result that are safe to show shoppers, exact counts and IDs stay internal
+const PUBLIC_STOCK_FIELDS = ['sku', 'quantity', 'available', 'status', 'backorder', 'expectedAt', 'error', 'alternatives']
+
+// Safety stock and low stock threshold for a SKU: SKU rule, then product rule, then the defaults, field by field
+// e.g. "products": { "Max Comfort Insoles": { "safetyStock": 2 } } holds back two units of every insole variant
+function getStockRule (sku, productTitle) {
+    return {
+        ...stockLevelConfig.default,
+        ...(stockLevelConfig.products[productTitle] || {}),
+        ...(stockLevelConfig.skus[sku] || {})
+    }
+}
+
+// Public status for a sellable quantity (already net of safety stock) against the requested quantity
+function getStockStatus (sellableQuantity, quantity, backorder, rule) {
+    if (sellableQuantity < quantity) {
+        return backorder ? 'backorder' : 'out_of_stock'
+    }
+
+    return sellableQuantity <= rule.lowStockThreshold ? 'low_stock' : 'in_stock'
+}
+
+function toPublicStockResult (result) {
+    return Object.fromEntries(PUBLIC_STOCK_FIELDS.filter(field => result[field] !== undefined).map(field => [field, result[field]]))
+}
+
+module.exports = {
+    getStockRule,
+    getStockStatus,
+    toPublicStockResult
+}
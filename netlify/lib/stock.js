@@ -0,0 +1,457 @@
+// netlify/lib/stock.js
+const { getIndexedVariants } = require('./sku-index')
+const { getLocations, selectCountedLocations } = require('./locations')
+const { shopifyREST, shopifyGraphQL } = require('./shopify')
+const { getStockRule, getStockStatus } = require('./stock-levels')
+const { getReservedQuantities } = require('./reservations')
+const { apiError, exceptionError } = require('./responses')
+const { logger } = require('./logger')
+
+// Preorder mode sells variants set to "continue selling when out of stock" as backorders, and reports
+// committed and incoming stock; requests can switch it on or off, PREORDER_MODE sets the default
+const PREORDER_MODE = process.env.PREORDER_MODE === 'true'
+
+// Shopify refuses queries whose requested cost is over 1000 points, so quantities queries are batched by their estimated cost:
+// each inventory item costs 3 plus 8 per level slot on its first page (the level, its location, quantities and scheduled changes)
+const MAX_QUERY_COST = 1000
+const QUANTITIES_ITEM_COST = 3
+const QUANTITIES_LEVEL_COST = 8
+const QUANTITIES_MAX_ITEMS_PER_QUERY = 100
+
+// Levels per page when an item is stocked at more locations than its first page holds
+const LEVELS_PAGE_SIZE = 100
+
+// Check inventory levels for multiple SKUs with detailed debugging
+// options.countryCode limits the counted locations to the shopper's country group
+// options.preorder overrides PREORDER_MODE for this check
+// When stores.reservations is given, units held for other shoppers are not available; options.excludeReservationIds
+// leaves out the caller's own holds and options.holds reuses holds the caller already loaded
+async function checkInventoryLevels(lineItems, shopDomain, accessToken, stores, options = {}) {
+    const results = []
+    const preorder = isPreorderMode(options.preorder)
+    const reserved = stores.reservations
+        ? await getReservedQuantities(stores.reservations, shopDomain, options.excludeReservationIds, options.holds)
+        : {}
+
+    // Resolve every SKU from the index, falling back to a single batched Admin API lookup
+    const variantsBySKU = await getIndexedVariants(lineItems.map(item => item.sku), shopDomain, accessToken, stores.skuIndex)
+
+    // Fetch inventory levels for every tracked variant in one go
+    const trackedItemIds = Object.values(variantsBySKU)
+        .filter(variant => variant.inventory_management === 'shopify')
+        .map(variant => variant.inventory_item_id)
+    const inventoryByItem = await getInventoryLevels(trackedItemIds, shopDomain, accessToken, stores, { ...options, preorder })
+
+    for (const item of lineItems) {
+        try {
+            const variant = variantsBySKU[item.sku]
+
+            if (!variant) {
+                logger.debug('Variant not found for SKU', { sku: item.sku })
+                results.push({
+                    sku: item.sku,
+                    quantity: item.quantity,
+                    available: false,
+                    status: 'out_of_stock',
+                    error: apiError('VARIANT_NOT_FOUND', 'Product variant not found', undefined, { sku: item.sku }),
+                    availableQuantity: 0,
+                    debug: {
+                        variantFound: false
+                    }
+                })
+                continue
+            }
+
+            logger.debug('Found variant for SKU', {
+                sku: item.sku,
+                variantId: variant.id,
+                inventoryItemId: variant.inventory_item_id,
+                inventoryManagement: variant.inventory_management,
+                inventoryPolicy: variant.inventory_policy
+            })
+
+            // Check if inventory is tracked
+            if (variant.inventory_management !== 'shopify') {
+                logger.debug('Inventory not tracked for SKU', { sku: item.sku, inventoryManagement: variant.inventory_management })
+                results.push({
+                    sku: item.sku,
+                    quantity: item.quantity,
+                    available: true, // If not tracked, assume available
+                    status: 'in_stock',
+                    availableQuantity: 'unlimited',
+                    variantId: variant.id,
+                    inventoryItemId: variant.inventory_item_id,
+                    inventoryPolicy: variant.inventory_policy,
+                    inventoryManagement: variant.inventory_management,
+                    debug: {
+                        variantFound: true,
+                        inventoryTracked: false,
+                        reason: 'Inventory management not set to shopify'
+                    }
+                })
+                continue
+            }
+
+            const inventoryResult = inventoryByItem[variant.inventory_item_id]
+
+            if (!inventoryResult.success) {
+                logger.warn('Failed to get inventory for SKU', { sku: item.sku, error: inventoryResult.error })
+                results.push({
+                    sku: item.sku,
+                    quantity: item.quantity,
+                    available: false,
+                    status: 'out_of_stock',
+                    error: inventoryResult.error,
+                    availableQuantity: 0,
+                    variantId: variant.id,
+                    inventoryItemId: variant.inventory_item_id,
+                    debug: {
+                        variantFound: true,
+                        inventoryTracked: true,
+                        inventoryCheckFailed: true,
+                        error: inventoryResult.error,
+                        locations: inventoryResult.locations
+                    }
+                })
+                continue
+            }
+
+            // Safety stock and units reserved for other shoppers are held back, only what is left can be sold
+            const totalAvailable = inventoryResult.totalAvailable
+            const stockRule = getStockRule(item.sku, variant.product_title)
+            const reservedQuantity = reserved[item.sku] || 0
+            const sellable = Math.max(0, totalAvailable - stockRule.safetyStock - reservedQuantity)
+            const inStock = sellable >= item.quantity
+
+            // Shopify oversells variants whose policy is "continue", so in preorder mode the shortfall ships later
+            const backorder = preorder && !inStock && variant.inventory_policy === 'continue'
+            const isAvailable = inStock || backorder
+
+            logger.debug('Stock result', {
+                sku: item.sku,
+                totalAvailable,
+                safetyStock: stockRule.safetyStock,
+                reservedQuantity,
+                sellable,
+                quantity: item.quantity,
+                inStock,
+                backorder,
+                locations: inventoryResult.locations
+            })
+
+            const result = {
+                sku: item.sku,
+                quantity: item.quantity,
+                available: isAvailable,
+                status: getStockStatus(sellable, item.quantity, backorder, stockRule),
+                availableQuantity: sellable,
+                safetyStock: stockRule.safetyStock,
+                reservedQuantity: reservedQuantity,
+                variantId: variant.id,
+                inventoryItemId: variant.inventory_item_id,
+                inventoryPolicy: variant.inventory_policy,
+                inventoryManagement: variant.inventory_management,
+                debug: {
+                    variantFound: true,
+                    inventoryTracked: true,
+                    locations: inventoryResult.locations,
+                    totalAvailable: totalAvailable
+                }
+            }
+
+            if (preorder) {
+                result.backorder = backorder
+                result.committedQuantity = inventoryResult.totalCommitted
+                result.incomingQuantity = inventoryResult.totalIncoming
+                result.expectedAt = inStock ? null : getExpectedDate(inventoryResult.incoming, item.quantity - sellable)
+                result.debug.incoming = inventoryResult.incoming
+            }
+
+            results.push(result)
+
+        } catch (error) {
+            logger.error('Error checking stock for SKU', { sku: item.sku, error })
+            results.push({
+                sku: item.sku,
+                quantity: item.quantity,
+                available: false,
+                status: 'out_of_stock',
+                error: exceptionError(error),
+                availableQuantity: 0,
+                debug: {
+                    exception: error.message
+                }
+            })
+        }
+    }
+
+    return results
+}
+
+// Inventory levels for many items at once, batched across as few Admin API calls as possible
+// Returns a result per inventory item ID, a failed batch marks all of its items as failed
+// In preorder mode the levels come from GraphQL, which also has committed and incoming quantities
+async function getInventoryLevels(inventoryItemIds, shopDomain, accessToken, stores, options = {}) {
+    const uniqueItemIds = [...new Set(inventoryItemIds)]
+    const results = {}
+
+    if (uniqueItemIds.length === 0) {
+        return results
+    }
+
+    let locations
+    let activeLocationCount
+
+    try {
+        const shopLocations = await getLocations(shopDomain, accessToken, stores.locationCache)
+        locations = selectCountedLocations(shopLocations, shopDomain, options.countryCode)
+        activeLocationCount = shopLocations.filter(location => location.active).length
+        logger.debug('Counting stock at locations', { locationIds: locations.map(location => location.id) })
+    } catch (error) {
+        logger.error('Error fetching locations', { error })
+        return failAll(uniqueItemIds, exceptionError(error))
+    }
+
+    if (locations.length === 0) {
+        return failAll(uniqueItemIds, apiError('INTERNAL_ERROR', 'No locations match the location rules'))
+    }
+
+    const locationIds = locations.map(loc => loc.id)
+
+    // GraphQL lists an item's levels at every active location, so a first page that size usually holds them all
+    const levelsPerItem = Math.max(1, Math.min(LEVELS_PAGE_SIZE, activeLocationCount))
+
+    // Up to 50 items per REST request, and every item/location pair has to fit on one 250 level page
+    const batchSize = options.preorder
+        ? Math.max(1, Math.min(QUANTITIES_MAX_ITEMS_PER_QUERY, Math.floor(MAX_QUERY_COST / (QUANTITIES_ITEM_COST + levelsPerItem * QUANTITIES_LEVEL_COST))))
+        : Math.max(1, Math.min(50, Math.floor(250 / locations.length)))
+
+    for (let start = 0; start < uniqueItemIds.length; start += batchSize) {
+        const batch = uniqueItemIds.slice(start, start + batchSize)
+
+        try {
+            const levels = options.preorder
+                ? await fetchInventoryQuantities(batch, locationIds, levelsPerItem, shopDomain, accessToken)
+                : await fetchInventoryLevels(batch, locationIds, shopDomain, accessToken)
+
+            for (const inventoryItemId of batch) {
+                results[inventoryItemId] = summarizeLevels(
+                    levels.filter(level => level.inventory_item_id === inventoryItemId),
+                    locations
+                )
+            }
+
+        } catch (error) {
+            logger.error('Error fetching inventory levels', { inventoryItemIds: batch, error })
+            Object.assign(results, failAll(batch, exceptionError(error)))
+        }
+    }
+
+    return results
+}
+
+async function fetchInventoryLevels (inventoryItemIds, locationIds, shopDomain, accessToken) {
+    const inventoryData = await shopifyREST(
+        `inventory_levels.json?inventory_item_ids=${inventoryItemIds.join(',')}&location_ids=${locationIds.join(',')}&limit=250`,
+        shopDomain,
+        accessToken
+    )
+
+    return inventoryData.inventory_levels
+}
+
+// Same level rows as the REST endpoint, plus committed and incoming quantities and the dates incoming stock is expected
+async function fetchInventoryQuantities (inventoryItemIds, locationIds, levelsPerItem, shopDomain, accessToken) {
+    const data = await shopifyGraphQL(INVENTORY_QUANTITIES_QUERY, {
+        ids: inventoryItemIds.map(inventoryItemId => `gid://shopify/InventoryItem/${inventoryItemId}`),
+        levelsPerItem
+    }, shopDomain, accessToken)
+
+    const levels = []
+
+    for (const item of data.nodes) {
+        if (!item) {
+            continue
+        }
+
+        let page = item.inventoryLevels
+        levels.push(...toLevelRows(Number(item.legacyResourceId), page.edges, locationIds))
+
+        // Never count a truncated level list, fetch the rest of it
+        while (page.pageInfo.hasNextPage) {
+            const next = await shopifyGraphQL(INVENTORY_LEVELS_PAGE_QUERY, {
+                id: `gid://shopify/InventoryItem/${item.legacyResourceId}`,
+                first: LEVELS_PAGE_SIZE,
+                after: page.pageInfo.endCursor
+            }, shopDomain, accessToken)
+
+            page = next.inventoryItem.inventoryLevels
+            levels.push(...toLevelRows(Number(item.legacyResourceId), page.edges, locationIds))
+        }
+    }
+
+    return levels
+}
+
+function toLevelRows (inventoryItemId, edges, locationIds) {
+    const levels = []
+
+    for (const { node } of edges) {
+        const locationId = Number(node.location.legacyResourceId)
+
+        if (!locationIds.includes(locationId)) {
+            continue
+        }
+
+        const quantities = Object.fromEntries(node.quantities.map(quantity => [quantity.name, quantity.quantity]))
+
+        levels.push({
+            inventory_item_id: inventoryItemId,
+            location_id: locationId,
+            available: quantities.available,
+            committed: quantities.committed,
+            incoming: quantities.incoming,
+            on_hand: quantities.on_hand,
+            scheduled_changes: node.scheduledChanges.edges
+                .filter(({ node: change }) => change.toName === 'available')
+                .map(({ node: change }) => ({ quantity: change.quantity, expectedAt: change.expectedAt }))
+        })
+    }
+
+    return levels
+}
+
+// Calculate total available across all locations
+// Shopify's available quantity is already net of committed units, committed is reported alongside it
+function summarizeLevels (levels, locations) {
+    let totalAvailable = 0
+    let totalCommitted = 0
+    let totalIncoming = 0
+    const incoming = []
+    const locationBreakdown = []
+
+    for (const level of levels) {
+        const location = locations.find(loc => loc.id === level.location_id)
+        const available = level.available || 0
+        totalAvailable += available
+
+        const breakdown = {
+            locationId: level.location_id,
+            locationName: location ? location.name : 'Unknown',
+            available: available
+        }
+
+        // Only the GraphQL quantities carry committed and incoming stock
+        if (level.scheduled_changes) {
+            breakdown.committed = level.committed || 0
+            breakdown.incoming = level.incoming || 0
+            totalCommitted += breakdown.committed
+            totalIncoming += breakdown.incoming
+
+            for (const change of level.scheduled_changes) {
+                incoming.push({ locationId: level.location_id, ...change })
+            }
+        }
+
+        locationBreakdown.push(breakdown)
+    }
+
+    return {
+        success: true,
+        totalAvailable: totalAvailable,
+        totalCommitted: totalCommitted,
+        totalIncoming: totalIncoming,
+        incoming: incoming.sort((a, b) => Date.parse(a.expectedAt) - Date.parse(b.expectedAt)),
+        locations: locationBreakdown
+    }
+}
+
+// The date by which scheduled incoming stock covers the shortfall, or null when nothing scheduled does
+function getExpectedDate (incoming, shortfall) {
+    let covered = 0
+
+    for (const change of incoming) {
+        covered += change.quantity
+
+        if (covered >= shortfall) {
+            return change.expectedAt
+        }
+    }
+
+    return null
+}
+
+function isPreorderMode (requested) {
+    return typeof requested === 'boolean' ? requested : PREORDER_MODE
+}
+
+function failAll (inventoryItemIds, error) {
+    return Object.fromEntries(inventoryItemIds.map(inventoryItemId => [inventoryItemId, {
+        success: false,
+        error: error,
+        totalAvailable: 0,
+        totalCommitted: 0,
+        totalIncoming: 0,
+        incoming: [],
+        locations: []
+    }]))
+}
+
+const INVENTORY_LEVEL_FIELDS = `
+    fragment InventoryLevelFields on InventoryLevelConnection {
+        pageInfo {
+            hasNextPage
+            endCursor
+        }
+        edges {
+            node {
+                location {
+                    legacyResourceId
+                }
+                quantities(names: ["available", "committed", "incoming", "on_hand"]) {
+                    name
+                    quantity
+                }
+                scheduledChanges(first: 3) {
+                    edges {
+                        node {
+                            expectedAt
+                            fromName
+                            toName
+                            quantity
+                        }
+                    }
+                }
+            }
+        }
+    }
+`
+
+const INVENTORY_QUANTITIES_QUERY = `
+    query InventoryQuantities($ids: [ID!]!, $levelsPerItem: Int!) {
+        nodes(ids: $ids) {
+            ... on InventoryItem {
+                legacyResourceId
+                inventoryLevels(first: $levelsPerItem) {
+                    ...InventoryLevelFields
+                }
+            }
+        }
+    }
+${INVENTORY_LEVEL_FIELDS}`
+
+const INVENTORY_LEVELS_PAGE_QUERY = `
+    query InventoryLevelsPage($id: ID!, $first: Int!, $after: String) {
+        inventoryItem(id: $id) {
+            inventoryLevels(first: $first, after: $after) {
+                ...InventoryLevelFields
+            }
+        }
+    }
+${INVENTORY_LEVEL_FIELDS}`
+
+module.exports = {
+    checkInventoryLevels,
+    getInventoryLevels,
+    isPreorderMode
+}
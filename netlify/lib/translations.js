@@ -0,0 +1,131 @@
+// netlify/lib/translations.js
+const translationConfig = require('../config/translations.json')
+const { canonicalKey, parsePropertyName, formatPropertyLabel } = require('./normalize')
+
+// Localized storefronts (Shopify Markets) send product titles, option names and values in the shopper's language
+// config/translations.json holds one table per locale, keyed by the canonical titles, option names and values of the SKU mapping:
+//   locales -> "fr" -> products -> "Max Comfort Insoles" -> { title, options: { "Size": { name, values: { canonical -> localized } } } }
+// Regenerate it with scripts/generate-translations.js
+
+// Translators are built once per locale table and shared by every request this function instance serves
+const translators = new Map()
+
+// Translator for a storefront locale such as "fr" or "de-CH", falling back to the language's table
+// Locales without a table, the shop's primary one included, pass every label through unchanged
+function getTranslator (locale) {
+    const tableLocale = findTableLocale(locale)
+
+    if (!translators.has(tableLocale)) {
+        translators.set(tableLocale, buildTranslator(tableLocale))
+    }
+
+    return translators.get(tableLocale)
+}
+
+function findTableLocale (locale) {
+    if (!locale) {
+        return null
+    }
+
+    const requested = String(locale).trim().toLowerCase().replace('_', '-')
+    const locales = Object.keys(translationConfig.locales)
+
+    return locales.find(candidate => candidate.toLowerCase() === requested) ||
+        locales.find(candidate => candidate.toLowerCase() === requested.split('-')[0]) ||
+        null
+}
+
+function buildTranslator (locale) {
+    const products = locale ? translationConfig.locales[locale].products : {}
+
+    // Localized label -> canonical, compared by canonical key so the normalization rules apply to translations too
+    const titles = new Map()
+    const optionNames = {}
+    const optionValues = {}
+
+    for (const [title, product] of Object.entries(products)) {
+        titles.set(canonicalKey(product.title || title), title)
+        optionNames[title] = new Map()
+        optionValues[title] = {}
+
+        for (const [optionName, option] of Object.entries(product.options || {})) {
+            optionNames[title].set(canonicalKey(option.name || optionName), optionName)
+            optionValues[title][optionName] = new Map(
+                Object.entries(option.values || {}).map(([value, localized]) => [canonicalKey(localized), value])
+            )
+        }
+    }
+
+    function getOption (productName, optionName) {
+        const product = products[productName]
+        return (product && product.options && product.options[optionName]) || {}
+    }
+
+    function toCanonicalProduct (productName) {
+        return titles.get(canonicalKey(productName)) || productName
+    }
+
+    function toCanonicalOption (productName, optionName) {
+        return (optionNames[productName] && optionNames[productName].get(canonicalKey(optionName))) || optionName
+    }
+
+    function toCanonicalValue (productName, optionName, value) {
+        const values = optionValues[productName] && optionValues[productName][optionName]
+        return (values && values.get(canonicalKey(value))) || value
+    }
+
+    function localizeProduct (productName) {
+        return (products[productName] && products[productName].title) || productName
+    }
+
+    function localizeOption (productName, optionName) {
+        return getOption(productName, optionName).name || optionName
+    }
+
+    function localizeValue (productName, optionName, value) {
+        const values = getOption(productName, optionName).values || {}
+        return values[value] || value
+    }
+
+    // Canonical [{ name, value }] line item properties in the shopper's labels, e.g. for the cart or a response
+    function localizeProperties (properties) {
+        return properties.map(property => {
+            const parsed = parsePropertyName(property.name)
+
+            if (!parsed) {
+                return property
+            }
+
+            const { productName, componentIndex, hasIndex, optionName } = parsed
+
+            return {
+                name: `${formatPropertyLabel(localizeProduct(productName), componentIndex, hasIndex)}: ${localizeOption(productName, optionName)}`,
+                value: localizeValue(productName, optionName, property.value)
+            }
+        })
+    }
+
+    // Parsed line items with their properties in the shopper's labels
+    function localizeLineItems (lineItems) {
+        return lineItems.map(lineItem => ({
+            ...lineItem,
+            properties: localizeProperties(lineItem.properties)
+        }))
+    }
+
+    return {
+        locale,
+        toCanonicalProduct,
+        toCanonicalOption,
+        toCanonicalValue,
+        localizeProduct,
+        localizeOption,
+        localizeValue,
+        localizeProperties,
+        localizeLineItems
+    }
+}
+
+module.exports = {
+    getTranslator
+}
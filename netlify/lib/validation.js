@@ -0,0 +1,138 @@
+// netlify/lib/validation.js
+const Ajv = require('ajv')
+const addErrorMessages = require('ajv-errors')
+const { parseSizeInput } = require('./sizes')
+const { apiError, fieldPath } = require('./responses')
+
+// Request schemas live in netlify/schemas, required one by one so the function bundler picks them up
+// Each is registered under its $id, which is also how handlers and $refs name it
+const SCHEMAS = [
+    require('../schemas/common.json'),
+    require('../schemas/check-bundle-stock.json'),
+    require('../schemas/check-cart-stock.json'),
+    require('../schemas/bundle-availability.json'),
+    require('../schemas/reserve-bundle-stock.json'),
+    require('../schemas/release-reservation.json'),
+    require('../schemas/create-bundle-order.json'),
+    require('../schemas/subscribe-back-in-stock.json'),
+    require('../schemas/invalidate-sku-index.json')
+]
+
+// Deliberately loose, the mail provider is the real judge of an address
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// allErrors reports every problem instead of the first, and lets "errorMessage" (ajv-errors) replace a schema's messages
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true })
+addErrorMessages(ajv)
+
+// Values JSON Schema can't describe on its own
+// A size answer may be a number or an object as well as a string, and formats only check strings, so it is a keyword
+ajv.addFormat('email', value => EMAIL_PATTERN.test(value.trim()))
+ajv.addKeyword({
+    keyword: 'sizeInput',
+    schemaType: 'boolean',
+    validate: (enabled, value) => !enabled || Boolean(parseSizeInput(value))
+})
+
+for (const schema of SCHEMAS) {
+    ajv.addSchema(schema)
+}
+
+// Parse a JSON request body and check it against a schema
+// Returns { body } or { errors } with one INVALID_JSON or INVALID_REQUEST error per problem
+function parseRequestBody (event, schemaName) {
+    let body
+
+    try {
+        body = event.body ? JSON.parse(event.body) : {}
+    } catch (error) {
+        return { errors: [apiError('INVALID_JSON', `Request body is not valid JSON: ${error.message}`)] }
+    }
+
+    const errors = validateRequest(schemaName, body)
+    return errors.length > 0 ? { errors } : { body }
+}
+
+// Check a parsed body or query string against a schema, returning INVALID_REQUEST errors naming the field at fault
+function validateRequest (schemaName, value) {
+    const validate = ajv.getSchema(schemaName)
+
+    if (validate(value)) {
+        return []
+    }
+
+    const messages = new Map()
+
+    for (const error of validate.errors) {
+        const problem = describeError(error, value)
+        const field = fieldPath(problem.path)
+        const message = `${field || 'Request body'} ${problem.message}`
+
+        messages.set(message, apiError('INVALID_REQUEST', message, field || undefined))
+    }
+
+    return [...messages.values()]
+}
+
+// An ajv error as { path, message }, in the wording storefronts already show shoppers
+// Missing and unexpected properties are reported at the property itself rather than its parent
+function describeError (error, value) {
+    const path = toPath(error.instancePath, value)
+    const { params } = error
+
+    switch (error.keyword) {
+        case 'required':
+            return { path: [...path, params.missingProperty], message: 'is required' }
+        case 'additionalProperties':
+            return { path: [...path, params.additionalProperty], message: 'is not allowed' }
+        case 'type':
+            return { path, message: `must be ${describeType(params.type)}` }
+        case 'enum':
+            return { path, message: `must be one of ${params.allowedValues.map(option => JSON.stringify(option)).join(', ')}` }
+        case 'format':
+            return { path, message: `is not a valid ${params.format}` }
+        case 'pattern':
+            return { path, message: `must match ${params.pattern}` }
+        case 'minimum':
+            return { path, message: `must be at least ${params.limit}` }
+        case 'maximum':
+            return { path, message: `must be at most ${params.limit}` }
+        case 'minLength':
+            return { path, message: `must be at least ${params.limit} characters` }
+        case 'maxLength':
+            return { path, message: `must be at most ${params.limit} characters` }
+        case 'minItems':
+            return { path, message: `must have at least ${params.limit} items` }
+        case 'maxItems':
+            return { path, message: `must have at most ${params.limit} items` }
+        default:
+            // errorMessage and anything else keep ajv's message
+            return { path, message: error.message }
+    }
+}
+
+// "/cart/items/0/quantity" -> ['cart', 'items', 0, 'quantity'], indexes only where the request has an array
+function toPath (instancePath, value) {
+    const path = []
+    let node = value
+
+    for (const encoded of instancePath.split('/').slice(1)) {
+        const segment = encoded.replace(/~1/g, '/').replace(/~0/g, '~')
+        const key = Array.isArray(node) ? Number(segment) : segment
+
+        path.push(key)
+        node = node === null || node === undefined ? undefined : node[key]
+    }
+
+    return path
+}
+
+function describeType (type) {
+    const names = { object: 'an object', array: 'an array', integer: 'a whole number', number: 'a number', string: 'a string', boolean: 'true or false', null: 'null' }
+    return [].concat(type).map(candidate => names[candidate]).join(' or ')
+}
+
+module.exports = {
+    parseRequestBody,
+    validateRequest
+}
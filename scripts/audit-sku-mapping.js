@@ -0,0 +1,100 @@
+// scripts/audit-sku-mapping.js
+//
+// Cross-checks netlify/config/sku-mapping.json against the Shopify catalog and reports
+// orphaned, unmapped and duplicate SKUs plus option values that no longer match.
+//
+//   SHOPIFY_SHOP_DOMAIN=... SHOPIFY_ACCESS_TOKEN=... node scripts/audit-sku-mapping.js
+//   node scripts/audit-sku-mapping.js --fixture catalog.json
+//
+// Options:
+//   --fixture <file>   audit against a catalog export (scripts/generate-sku-mapping.js --dump)
+//   --mapping <file>   mapping to audit (default netlify/config/sku-mapping.json)
+//   --json             print the full report as JSON
+//
+// Exits with status 1 when any problem is found, so it can gate a deploy.
+const fs = require('fs/promises')
+const path = require('path')
+const { fetchCatalogProducts, loadCatalogFixture, auditSkuMapping } = require('../netlify/lib/catalog')
+
+const DEFAULT_MAPPING = path.join(__dirname, '..', 'netlify', 'config', 'sku-mapping.json')
+
+async function main () {
+    const args = parseArgs(process.argv.slice(2))
+    const mapping = JSON.parse(await fs.readFile(args.mapping, 'utf8'))
+    const titles = Object.keys(mapping.products)
+
+    let catalogProducts
+
+    if (args.fixture) {
+        catalogProducts = await loadCatalogFixture(args.fixture)
+    } else {
+        const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN
+        const accessToken = process.env.SHOPIFY_ACCESS_TOKEN
+
+        if (!shopDomain || !accessToken) {
+            throw new Error('Set SHOPIFY_SHOP_DOMAIN and SHOPIFY_ACCESS_TOKEN, or pass --fixture <file>')
+        }
+
+        catalogProducts = await fetchCatalogProducts(titles, shopDomain, accessToken)
+    }
+
+    const report = auditSkuMapping(mapping, catalogProducts)
+    const problemCount = Object.values(report).reduce((total, problems) => total + problems.length, 0)
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 4))
+    } else {
+        printReport(report, mapping)
+    }
+
+    process.exitCode = problemCount > 0 ? 1 : 0
+}
+
+function printReport (report, mapping) {
+    console.log(`🔎 Audited SKU mapping v${mapping.version} (${mapping.source}, generated ${mapping.generatedAt})\n`)
+
+    printSection('Mapped products missing from the catalog', report.missingProducts, title => title)
+    printSection('Mapped SKUs that no longer exist in Shopify', report.orphanedSKUs, item => `${item.sku}  ${item.product} → ${item.key}`)
+    printSection('Shopify variants without a mapping entry', report.unmappedVariants, item => `${item.sku || '(no SKU)'}  ${item.product} → ${item.key}`)
+    printSection('SKUs mapped more than once', report.duplicateSKUs, item => `${item.sku}  ${item.mappedAt.map(location => `${location.product} → ${location.key}`).join('; ')}`)
+    printSection('Option values that no longer match', report.optionMismatches, item => `${item.sku}  ${item.product}: mapped "${item.mappedKey}", Shopify "${item.catalogKey}"`)
+}
+
+function printSection (title, problems, describe) {
+    console.log(`${problems.length === 0 ? '✅' : '❌'} ${title}: ${problems.length}`)
+
+    for (const problem of problems) {
+        console.log(`   - ${describe(problem)}`)
+    }
+}
+
+function parseArgs (argv) {
+    const args = { mapping: DEFAULT_MAPPING, json: false }
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1]
+
+        switch (argv[i]) {
+            case '--fixture':
+                args.fixture = value
+                i++
+                break
+            case '--mapping':
+                args.mapping = value
+                i++
+                break
+            case '--json':
+                args.json = true
+                break
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`)
+        }
+    }
+
+    return args
+}
+
+main().catch(error => {
+    console.error('💥 SKU mapping audit failed:', error.message)
+    process.exit(1)
+})
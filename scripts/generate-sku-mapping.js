@@ -0,0 +1,116 @@
+// scripts/generate-sku-mapping.js
+//
+// Regenerates netlify/config/sku-mapping.json from the Shopify catalog.
+//
+//   SHOPIFY_SHOP_DOMAIN=... SHOPIFY_ACCESS_TOKEN=... node scripts/generate-sku-mapping.js
+//   node scripts/generate-sku-mapping.js --fixture catalog.json
+//
+// Options:
+//   --fixture <file>   read products from a catalog export instead of the Admin API
+//   --dump <file>      also write the fetched catalog as a fixture for offline runs
+//   --product <title>  map an extra product besides the bundle components (repeatable)
+//   --out <file>       where to write the mapping (default netlify/config/sku-mapping.json)
+const fs = require('fs/promises')
+const path = require('path')
+const bundleConfig = require('../netlify/config/bundles.json')
+const { fetchCatalogProducts, loadCatalogFixture, buildSkuMapping } = require('../netlify/lib/catalog')
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'netlify', 'config', 'sku-mapping.json')
+
+async function main () {
+    const args = parseArgs(process.argv.slice(2))
+    const optionOrder = getComponentOptionOrder()
+    const titles = [...new Set([...Object.keys(optionOrder), ...args.products])]
+
+    let catalogProducts
+    let source
+
+    if (args.fixture) {
+        console.log(`📂 Reading catalog fixture: ${args.fixture}`)
+        catalogProducts = (await loadCatalogFixture(args.fixture)).filter(product => titles.includes(product.title))
+        source = `fixture:${path.basename(args.fixture)}`
+    } else {
+        const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN
+        const accessToken = process.env.SHOPIFY_ACCESS_TOKEN
+
+        if (!shopDomain || !accessToken) {
+            throw new Error('Set SHOPIFY_SHOP_DOMAIN and SHOPIFY_ACCESS_TOKEN, or pass --fixture <file>')
+        }
+
+        console.log(`🛍️ Fetching ${titles.length} products from ${shopDomain}`)
+        catalogProducts = await fetchCatalogProducts(titles, shopDomain, accessToken)
+        source = `shopify:${shopDomain}`
+
+        if (args.dump) {
+            await writeJSON(args.dump, { exportedAt: new Date().toISOString(), shopDomain, products: catalogProducts })
+            console.log(`💾 Wrote catalog fixture: ${args.dump}`)
+        }
+    }
+
+    const missingTitles = titles.filter(title => !catalogProducts.some(product => product.title === title))
+    if (missingTitles.length > 0) {
+        console.log(`⚠️ Not in catalog, left out of the mapping: ${missingTitles.join(', ')}`)
+    }
+
+    const mapping = buildSkuMapping(catalogProducts, optionOrder, source)
+    await writeJSON(args.out, mapping)
+
+    for (const [title, product] of Object.entries(mapping.products)) {
+        console.log(`✅ ${title}: ${Object.keys(product.variants).length} variants`)
+    }
+    console.log(`💾 Wrote SKU mapping: ${args.out}`)
+}
+
+// Bundle definitions decide which option order forms each component's variant key
+function getComponentOptionOrder () {
+    const optionOrder = {}
+    const definitions = [bundleConfig.default, ...Object.values(bundleConfig.bundles)]
+
+    for (const definition of definitions) {
+        for (const [title, component] of Object.entries(definition.components)) {
+            optionOrder[title] = optionOrder[title] || component.options
+        }
+    }
+
+    return optionOrder
+}
+
+function parseArgs (argv) {
+    const args = { out: DEFAULT_OUTPUT, products: [] }
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1]
+
+        switch (argv[i]) {
+            case '--fixture':
+                args.fixture = value
+                i++
+                break
+            case '--dump':
+                args.dump = value
+                i++
+                break
+            case '--product':
+                args.products.push(value)
+                i++
+                break
+            case '--out':
+                args.out = value
+                i++
+                break
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`)
+        }
+    }
+
+    return args
+}
+
+async function writeJSON (file, data) {
+    await fs.writeFile(file, JSON.stringify(data, null, 4) + '\n')
+}
+
+main().catch(error => {
+    console.error('💥 SKU mapping generation failed:', error.message)
+    process.exit(1)
+})
@@ -0,0 +1,107 @@
+// scripts/generate-translations.js
+//
+// Regenerates netlify/config/translations.json from Shopify's translatable resources, so localized storefronts'
+// product titles, option names and option values resolve to the canonical keys of the SKU mapping.
+//
+//   SHOPIFY_SHOP_DOMAIN=... SHOPIFY_ACCESS_TOKEN=... node scripts/generate-translations.js
+//   node scripts/generate-translations.js --fixture translations-export.json
+//
+// Option values only have translatable IDs from API version 2024-07, so older shop apiVersions are raised to it for this run.
+//
+// Options:
+//   --fixture <file>   read translations from an export instead of the Admin API
+//   --dump <file>      also write the fetched translations as a fixture for offline runs
+//   --locale <code>    only this locale (repeatable, default every published locale but the primary one)
+//   --out <file>       where to write the translations (default netlify/config/translations.json)
+const fs = require('fs/promises')
+const path = require('path')
+const skuMapping = require('../netlify/config/sku-mapping.json')
+const { fetchShopLocales, fetchCatalogTranslations, loadCatalogFixture, buildTranslations } = require('../netlify/lib/catalog')
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'netlify', 'config', 'translations.json')
+
+async function main () {
+    const args = parseArgs(process.argv.slice(2))
+
+    // Every mapped product, the translations resolve to the mapping's keys
+    const titles = Object.keys(skuMapping.products)
+
+    let translatedProducts
+    let locales
+    let source
+
+    if (args.fixture) {
+        console.log(`📂 Reading translations fixture: ${args.fixture}`)
+        translatedProducts = (await loadCatalogFixture(args.fixture)).filter(product => titles.includes(product.title))
+        locales = args.locales.length > 0
+            ? args.locales
+            : [...new Set(translatedProducts.flatMap(product => Object.keys(product.translations)))]
+        source = `fixture:${path.basename(args.fixture)}`
+    } else {
+        const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN
+        const accessToken = process.env.SHOPIFY_ACCESS_TOKEN
+
+        if (!shopDomain || !accessToken) {
+            throw new Error('Set SHOPIFY_SHOP_DOMAIN and SHOPIFY_ACCESS_TOKEN, or pass --fixture <file>')
+        }
+
+        locales = args.locales.length > 0 ? args.locales : await fetchShopLocales(shopDomain, accessToken)
+
+        console.log(`🌍 Fetching ${locales.join(', ') || 'no'} translations of ${titles.length} products from ${shopDomain}`)
+        translatedProducts = await fetchCatalogTranslations(titles, locales, shopDomain, accessToken)
+        source = `shopify:${shopDomain}`
+
+        if (args.dump) {
+            await writeJSON(args.dump, { exportedAt: new Date().toISOString(), shopDomain, locales, products: translatedProducts })
+            console.log(`💾 Wrote translations fixture: ${args.dump}`)
+        }
+    }
+
+    const translations = buildTranslations(translatedProducts, locales, source)
+    await writeJSON(args.out, translations)
+
+    for (const [locale, table] of Object.entries(translations.locales)) {
+        console.log(`✅ ${locale}: ${Object.keys(table.products).length} of ${titles.length} products translated`)
+    }
+    console.log(`💾 Wrote translations: ${args.out}`)
+}
+
+function parseArgs (argv) {
+    const args = { out: DEFAULT_OUTPUT, locales: [] }
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1]
+
+        switch (argv[i]) {
+            case '--fixture':
+                args.fixture = value
+                i++
+                break
+            case '--dump':
+                args.dump = value
+                i++
+                break
+            case '--locale':
+                args.locales.push(value)
+                i++
+                break
+            case '--out':
+                args.out = value
+                i++
+                break
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`)
+        }
+    }
+
+    return args
+}
+
+async function writeJSON (file, data) {
+    await fs.writeFile(file, JSON.stringify(data, null, 4) + '\n')
+}
+
+main().catch(error => {
+    console.error('💥 Translations generation failed:', error.message)
+    process.exit(1)
+})
@@ -0,0 +1,14 @@
+// test/sizes.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseSizeInput } = require('../netlify/lib/sizes')
+
+test('parses half sizes written with a fraction', () => {
+    for (const input of ['10.5', '10,5', '10 1/2', '10½', '10 ½', '10 1⁄2']) {
+        assert.deepEqual(parseSizeInput(input), { system: 'us', gender: 'men', value: 10.5 }, input)
+    }
+})
+
+test('keeps the system and gender next to a fraction', () => {
+    assert.deepEqual(parseSizeInput("US women's 8½"), { system: 'us', gender: 'women', value: 8.5 })
+})